@@ -0,0 +1,128 @@
+// attachments.js
+// Lokal oversikt over vedlegg sendt til E2 (tabell: eccairs_attachments)
+// E2 har ingen liste over vedlegg per occurrence, så dette er eneste sted vi vet hva som ble lastet opp
+
+const crypto = require("crypto");
+
+const ATTACHMENTS_TABLE = "eccairs_attachments";
+
+function fileChecksum(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// Status for en rad: deleted > replaced > active
+function attachmentStatus(row) {
+  if (row.deleted_at) return "deleted";
+  if (row.replaced_at) return "replaced";
+  return "active";
+}
+
+// Begrens en spørring til gjeldende rader på samme vedleggsplass (e2Id + attributePath + entityID)
+function whereActiveSlot(query, { e2Id, environment, attributePath, entityID }) {
+  query = query
+    .eq("e2_id", e2Id)
+    .eq("attribute_path", attributePath)
+    .is("replaced_at", null)
+    .is("deleted_at", null);
+  if (environment) query = query.eq("environment", environment);
+  return entityID ? query.eq("entity_id", entityID) : query.is("entity_id", null);
+}
+
+/**
+ * Record files that were uploaded to E2. Never throws - the upload already happened.
+ * With overwrite, E2 replaces every file on the attribute path/entity, so earlier rows
+ * for that slot are marked replaced first.
+ * @param {Object} admin - service-role Supabase client
+ * @param {Object} upload - { exportRow, incident_id, environment, e2Id, attributePath, entityID, versionType, overwrite, files, actor }
+ *   files: [{ buffer, originalname, mimetype, storage?: { bucket, path } }]
+ * @returns {Promise<Array>} inserted rows (empty on failure)
+ */
+async function recordAttachmentUploads(admin, { exportRow = null, incident_id = null, environment = null, e2Id, attributePath, entityID = null, versionType = null, overwrite = true, files, actor = null }) {
+  const nowIso = new Date().toISOString();
+  const env = environment || exportRow?.environment || null;
+
+  if (overwrite) {
+    const { error } = await whereActiveSlot(
+      admin.from(ATTACHMENTS_TABLE).update({ replaced_at: nowIso }),
+      { e2Id, environment: env, attributePath, entityID }
+    );
+    if (error) console.error(`[attachments] Kunne ikke markere erstattede vedlegg for ${e2Id}:`, error);
+  }
+
+  const rows = files.map((f) => ({
+    export_id: exportRow?.id || null,
+    incident_id: incident_id || exportRow?.incident_id || null,
+    company_id: exportRow?.company_id || null,
+    environment: env,
+    e2_id: e2Id,
+    attribute_path: attributePath,
+    entity_id: entityID || null,
+    version_type: versionType,
+    overwrite: Boolean(overwrite),
+    file_name: f.originalname,
+    mime_type: f.mimetype || null,
+    size: f.buffer?.length ?? null,
+    checksum: f.buffer ? fileChecksum(f.buffer) : null,
+    source: f.storage ? "storage" : "upload",
+    storage_bucket: f.storage?.bucket || null,
+    storage_path: f.storage?.path || null,
+    actor: actor || "system",
+    uploaded_at: nowIso,
+  }));
+
+  const { data, error } = await admin.from(ATTACHMENTS_TABLE).insert(rows).select("*");
+  if (error) {
+    console.error(`[attachments] Kunne ikke registrere vedlegg for ${e2Id}:`, error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Attachment inventory for an occurrence, oldest first
+ * @param {Object} admin
+ * @param {Object} filter - { e2Id, environment, includeRemoved }
+ * @returns {Promise<Array>} rows with a computed `status` (active | replaced | deleted)
+ */
+async function listAttachments(admin, { e2Id, environment, includeRemoved = false }) {
+  let query = admin.from(ATTACHMENTS_TABLE).select("*").eq("e2_id", e2Id);
+  if (environment) query = query.eq("environment", environment);
+  if (!includeRemoved) query = query.is("replaced_at", null).is("deleted_at", null);
+
+  const { data, error } = await query.order("uploaded_at", { ascending: true });
+  if (error) throw error;
+  return (data || []).map((row) => ({ ...row, status: attachmentStatus(row) }));
+}
+
+// Gjeldende vedlegg på samme plass som `row`, utenom row selv
+async function listSlotSiblings(admin, row) {
+  const { data, error } = await whereActiveSlot(admin.from(ATTACHMENTS_TABLE).select("*"), {
+    e2Id: row.e2_id,
+    environment: row.environment,
+    attributePath: row.attribute_path,
+    entityID: row.entity_id,
+  });
+  if (error) throw error;
+  return (data || []).filter((r) => String(r.id) !== String(row.id));
+}
+
+async function markAttachmentDeleted(admin, id, actor) {
+  const { data, error } = await admin
+    .from(ATTACHMENTS_TABLE)
+    .update({ deleted_at: new Date().toISOString(), deleted_by: actor || "system" })
+    .eq("id", id)
+    .select("*")
+    .maybeSingle();
+  if (error) throw error;
+  return data ? { ...data, status: attachmentStatus(data) } : null;
+}
+
+module.exports = {
+  recordAttachmentUploads,
+  listAttachments,
+  listSlotSiblings,
+  markAttachmentDeleted,
+  attachmentStatus,
+  fileChecksum,
+  ATTACHMENTS_TABLE,
+};
@@ -0,0 +1,130 @@
+// batches.js
+// Batch-kjøring av E2-operasjoner for mange incidenter (tabell: eccairs_batches)
+// Fremdrift holdes i minnet mens batchen kjører og speiles til tabellen, slik at
+// GET /api/eccairs/batch/:id også fungerer fra en annen maskin eller etter at batchen er ferdig.
+
+const crypto = require("crypto");
+
+const BATCHES_TABLE = "eccairs_batches";
+// Ferdige batcher fjernes fra minnet etter dette (tabellen beholder dem)
+const BATCH_MEMORY_TTL_MS = 60 * 60_000;
+
+const batchesInMemory = new Map();
+
+function publicBatch(batch) {
+  const { _persist, ...rest } = batch;
+  return rest;
+}
+
+// Skriv fremdrift til tabellen. Skrivingene kjedes så en eldre tilstand aldri overskriver en nyere.
+function persist(admin, batch) {
+  const row = {
+    status: batch.status,
+    done: batch.done,
+    succeeded: batch.succeeded,
+    failed: batch.failed,
+    results: batch.results,
+    updated_at: new Date().toISOString(),
+    finished_at: batch.finished_at,
+  };
+  batch._persist = batch._persist
+    .then(async () => {
+      const { error } = await admin.from(BATCHES_TABLE).update(row).eq("id", batch.id);
+      if (error && String(error.code) !== "42P01") console.error(`[batch] Kunne ikke lagre fremdrift for ${batch.id}:`, error);
+    });
+  return batch._persist;
+}
+
+/**
+ * Register a new batch (in memory and, when the table exists, in eccairs_batches)
+ * @param {Object} admin - service-role Supabase client
+ * @param {Object} spec - { operation, environment, incident_ids, concurrency, actor }
+ * @returns {Promise<Object>} batch
+ */
+async function createBatch(admin, { operation, environment, incident_ids, concurrency, actor }) {
+  const nowIso = new Date().toISOString();
+  const batch = {
+    id: crypto.randomUUID(),
+    operation,
+    environment,
+    actor: actor || "system",
+    concurrency,
+    status: "running",
+    total: incident_ids.length,
+    done: 0,
+    succeeded: 0,
+    failed: 0,
+    // Én plass per incident i samme rekkefølge som forespørselen; result fylles inn underveis
+    results: incident_ids.map((incident_id) => ({ incident_id, state: "queued" })),
+    created_at: nowIso,
+    finished_at: null,
+    _persist: Promise.resolve(),
+  };
+
+  const { error } = await admin.from(BATCHES_TABLE).insert({ ...publicBatch(batch), incident_ids, updated_at: nowIso });
+  if (error && String(error.code) !== "42P01") throw error;
+
+  batchesInMemory.set(batch.id, batch);
+  return batch;
+}
+
+/**
+ * Process every incident in the batch with at most `concurrency` in flight
+ * @param {Object} admin
+ * @param {Object} batch - from createBatch
+ * @param {Function} task - async (incident_id) => result ({ ok, ... }); must not throw
+ * @returns {Promise<Object>} the finished batch
+ */
+async function runBatch(admin, batch, task) {
+  let next = 0;
+
+  const worker = async () => {
+    while (next < batch.results.length) {
+      const slot = batch.results[next++];
+      slot.state = "running";
+      slot.started_at = new Date().toISOString();
+
+      let result;
+      try {
+        result = await task(slot.incident_id);
+      } catch (err) {
+        result = { ok: false, status: 500, error: String(err.message || err) };
+      }
+
+      Object.assign(slot, result, { state: result.ok ? "succeeded" : "failed", finished_at: new Date().toISOString() });
+      batch.done++;
+      if (result.ok) batch.succeeded++;
+      else batch.failed++;
+      persist(admin, batch);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(batch.concurrency, batch.results.length) }, worker));
+
+  batch.status = "completed";
+  batch.finished_at = new Date().toISOString();
+  await persist(admin, batch);
+
+  setTimeout(() => batchesInMemory.delete(batch.id), BATCH_MEMORY_TTL_MS).unref();
+  return batch;
+}
+
+/**
+ * Current state of a batch - memory first, then the table
+ * @param {Object} admin
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getBatch(admin, id) {
+  const live = batchesInMemory.get(id);
+  if (live) return publicBatch(live);
+
+  const { data, error } = await admin.from(BATCHES_TABLE).select("*").eq("id", id).maybeSingle();
+  if (error) {
+    if (String(error.code) === "42P01") return null;
+    throw error;
+  }
+  return data || null;
+}
+
+module.exports = { createBatch, runBatch, getBatch, publicBatch };
@@ -13,9 +13,14 @@ if (!GLOBAL_E2_BASE_URL || !GLOBAL_E2_CLIENT_ID || !GLOBAL_E2_CLIENT_SECRET) {
   console.warn("[E2] Missing global env vars: E2_BASE_URL / E2_CLIENT_ID / E2_CLIENT_SECRET - will require per-company credentials");
 }
 
-// Token cache per company (eller 'global' for fallback)
+// Token cache per company + miljø + base URL + client ID (eller 'global' for fallback).
+// Nøkkelen hindrer at et sandbox-token gjenbrukes mot prod for samme selskap.
 const tokenCache = new Map();
 
+function tokenCacheKey({ companyId, environment, baseUrl, clientId }) {
+  return [companyId || "global", environment || "-", baseUrl || "-", clientId || "-"].join("|");
+}
+
 function basicAuthHeader(id, secret) {
   return "Basic " + Buffer.from(`${id}:${secret}`).toString("base64");
 }
@@ -46,7 +51,19 @@ async function requestToken({ baseUrl, clientId, clientSecret, scope }, tokenPat
     `[E2] Token request scope: ${scope === undefined ? "(undefined)" : scope === null ? "(null)" : `len=${String(scope).length}`}`
   );
 
-  const res = await fetch(url, { method: "POST", headers, body });
+  // Samme timeout som e2Fetch - en IdP som henger skal ikke stoppe alle kall for selskapet
+  let res;
+  try {
+    res = await fetchWithTimeout(url, { method: "POST", headers, body }, E2_TIMEOUT_MS);
+  } catch (err) {
+    const timedOut = err.name === "AbortError" || err.name === "TimeoutError";
+    const e = new Error(timedOut
+      ? `E2 token timeout after ${E2_TIMEOUT_MS} ms (${tokenPath})`
+      : `E2 token network error (${tokenPath}): ${err.message || err}`);
+    e.code = timedOut ? "E2_TIMEOUT" : "E2_NETWORK";
+    e.status = 504;
+    throw e;
+  }
   const text = await res.text();
   const contentType = res.headers.get("content-type") || "";
 
@@ -56,11 +73,18 @@ async function requestToken({ baseUrl, clientId, clientSecret, scope }, tokenPat
   if (text.startsWith("<!DOCTYPE") || text.startsWith("<html") || text.includes("<html")) {
     console.error(`[E2] Token endpoint returned HTML instead of JSON`);
     console.error(`[E2] HTML preview: ${text.substring(0, 300)}`);
-    throw new Error(`Token endpoint ${tokenPath} returned HTML (status ${res.status}). Check URL and IP whitelist.`);
+    const e = new Error(`Token endpoint ${tokenPath} returned HTML (status ${res.status}). Check URL and IP whitelist.`);
+    e.code = "E2_HTML_RESPONSE";
+    e.status = 502;
+    throw e;
   }
 
   if (!res.ok) {
-    throw new Error(`E2 token ${tokenPath} (${mode}) ${res.status}: ${text}`);
+    const e = new Error(`E2 token ${tokenPath} (${mode}) ${res.status}: ${text}`);
+    // 4xx = feil credentials/scope (ikke forbigående), 5xx = IdP nede
+    e.code = "E2_TOKEN_FAILED";
+    e.status = res.status >= 500 ? 502 : 401;
+    throw e;
   }
 
   // Verify content-type is JSON
@@ -68,8 +92,14 @@ async function requestToken({ baseUrl, clientId, clientSecret, scope }, tokenPat
     console.warn(`[E2] Unexpected content-type: ${contentType}`);
   }
 
-  const data = JSON.parse(text);
-  return data;
+  try {
+    return JSON.parse(text);
+  } catch {
+    const e = new Error(`Token endpoint ${tokenPath} returned invalid JSON (status ${res.status})`);
+    e.code = "E2_TOKEN_FAILED";
+    e.status = 502;
+    throw e;
+  }
 }
 
 /**
@@ -86,11 +116,15 @@ async function getE2AccessToken(integration = null) {
   const scope = integration?.e2_scope ?? GLOBAL_E2_SCOPE;
 
   if (!clientId || !clientSecret || !baseUrl) {
-    throw new Error("E2 credentials not configured (neither per-company nor global)");
+    const e = new Error("E2 credentials not configured (neither per-company nor global)");
+    e.code = "E2_NO_CREDENTIALS";
+    e.status = 400;
+    throw e;
   }
 
-  // Use company_id as cache key, or 'global' for fallback
-  const cacheKey = integration?.company_id || "global";
+  const companyId = integration?.company_id || "global";
+  const environment = integration?.environment || null;
+  const cacheKey = tokenCacheKey({ companyId, environment, baseUrl, clientId });
   const now = Date.now();
   
   const cached = tokenCache.get(cacheKey);
@@ -112,17 +146,24 @@ async function getE2AccessToken(integration = null) {
   for (const a of attempts) {
     try {
       const data = await requestToken({ baseUrl, clientId, clientSecret, scope }, a.path, a.mode);
-      console.log(`[E2] Token obtained successfully via ${a.path} (${a.mode}) for ${cacheKey}`);
+      console.log(`[E2] Token obtained successfully via ${a.path} (${a.mode}) for ${companyId} (${environment || "n/a"})`);
       
       const skewMs = 60_000;
       tokenCache.set(cacheKey, {
         token: data.access_token,
         expiresAt: Date.now() + (data.expires_in * 1000) - skewMs,
+        obtainedAt: Date.now(),
+        companyId,
+        environment,
+        baseUrl,
+        clientId,
       });
       
       return data.access_token;
     } catch (err) {
       console.warn(`[E2] Attempt ${a.path} (${a.mode}) failed: ${err.message}`);
+      // Timeout/nettverksfeil gjelder samme endepunkt - neste auth-modus ville bare ventet like lenge
+      if (err.code === "E2_TIMEOUT" || err.code === "E2_NETWORK") throw err;
       errors.push(`${a.path} (${a.mode}): ${err.message}`);
       lastErr = err;
     }
@@ -133,45 +174,250 @@ async function getE2AccessToken(integration = null) {
 }
 
 /**
- * Clear cached token for a company (call after credential update)
- * @param {string} companyId 
+ * Clear cached tokens for a company (call after credential update)
+ * @param {string} companyId
+ * @param {string} [environment] - only clear this environment (sandbox/prod); all if omitted
+ * @returns {number} number of cache entries removed
  */
-function clearTokenCache(companyId = "global") {
-  tokenCache.delete(companyId);
-  console.log(`[E2] Token cache cleared for ${companyId}`);
+function clearTokenCache(companyId = "global", environment = null) {
+  let removed = 0;
+  for (const [key, entry] of tokenCache.entries()) {
+    if (entry.companyId !== companyId) continue;
+    if (environment && entry.environment !== environment) continue;
+    tokenCache.delete(key);
+    removed++;
+  }
+  console.log(`[E2] Token cache cleared for ${companyId} (${environment || "all environments"}): ${removed} entries`);
+  return removed;
 }
 
 /**
- * Make authenticated E2 API call with auto-refresh
+ * List cached tokens without exposing the tokens themselves
+ * @param {string} [companyId] - only entries for this company; all if omitted
+ * @returns {Array<Object>}
+ */
+function listTokenCache(companyId = null) {
+  const now = Date.now();
+  const entries = [];
+  for (const entry of tokenCache.values()) {
+    if (companyId && entry.companyId !== companyId) continue;
+    entries.push({
+      company_id: entry.companyId,
+      environment: entry.environment,
+      base_url: entry.baseUrl,
+      client_id: entry.clientId,
+      obtained_at: new Date(entry.obtainedAt).toISOString(),
+      expires_at: new Date(entry.expiresAt).toISOString(),
+      expires_in_seconds: Math.max(0, Math.round((entry.expiresAt - now) / 1000)),
+      expired: now >= entry.expiresAt,
+    });
+  }
+  return entries;
+}
+
+// Fjern kun cache-innslaget for denne integrasjonen (brukes ved 401)
+function invalidateToken(integration = null) {
+  const clientId = integration?.e2_client_id || GLOBAL_E2_CLIENT_ID;
+  const baseUrl = integration?.e2_base_url || GLOBAL_E2_BASE_URL;
+  tokenCache.delete(tokenCacheKey({
+    companyId: integration?.company_id || "global",
+    environment: integration?.environment || null,
+    baseUrl,
+    clientId,
+  }));
+}
+
+// -------------------------
+// E2 HTTP-lag: timeout, 401-refresh, retry av idempotente kall og normaliserte feil
+// -------------------------
+const E2_TIMEOUT_MS = Number(process.env.E2_TIMEOUT_MS) || 30_000;
+const E2_MAX_RETRIES = process.env.E2_MAX_RETRIES != null ? Number(process.env.E2_MAX_RETRIES) : 2;
+const E2_MAX_RETRY_WAIT_MS = 30_000;
+// Øvre grense for ett e2Request-kall: token (to auth-modi, også ved refresh etter 401), første forsøk,
+// alle retries med maks ventetid og forsøket etter refresh. Brukes til å dimensjonere låser rundt E2-kall.
+const E2_REQUEST_MAX_MS =
+  4 * E2_TIMEOUT_MS + (E2_MAX_RETRIES + 2) * E2_TIMEOUT_MS + E2_MAX_RETRIES * (E2_MAX_RETRY_WAIT_MS + 250);
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+// POST (create, change-status) og PUT (edit med versjon) retries ikke automatisk
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "DELETE"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isHtmlBody(text) {
+  return text.startsWith("<!DOCTYPE") || text.startsWith("<html") || text.includes("<html");
+}
+
+// Retry-After kan være sekunder eller en HTTP-dato
+function retryAfterMs(res) {
+  const raw = res.headers.get("retry-after");
+  if (!raw) return null;
+  const secs = Number(raw);
+  const ms = Number.isFinite(secs) ? secs * 1000 : Date.parse(raw) - Date.now();
+  if (!Number.isFinite(ms)) return null;
+  return Math.min(E2_MAX_RETRY_WAIT_MS, Math.max(0, ms));
+}
+
+function backoffMs(attempt) {
+  return Math.min(E2_MAX_RETRY_WAIT_MS, 500 * 2 ** attempt) + Math.floor(Math.random() * 250);
+}
+
+async function fetchWithTimeout(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Make authenticated E2 API call with auto-refresh, timeout and retries
  * @param {string} path - API path
- * @param {Object} init - fetch options
+ * @param {Object} init - fetch options, plus timeoutMs, idempotent and retries
  * @param {Object} integration - Optional integration object
+ * @returns {Promise<Response>} raw response; throws an Error with code E2_TIMEOUT/E2_NETWORK on transport failure
  */
 async function e2Fetch(path, init = {}, integration = null) {
+  const { timeoutMs = E2_TIMEOUT_MS, idempotent, retries = E2_MAX_RETRIES, ...fetchInit } = init;
   const baseUrl = integration?.e2_base_url || GLOBAL_E2_BASE_URL;
-  const token = await getE2AccessToken(integration);
-  
+  const method = String(fetchInit.method || "GET").toUpperCase();
+  const canRetry = idempotent ?? IDEMPOTENT_METHODS.has(method);
+  // Tokenfeil skjer før selve kallet er sendt - E2 har da garantert ikke mottatt det
+  const getToken = async () => {
+    try {
+      return await getE2AccessToken(integration);
+    } catch (err) {
+      err.requestSent = false;
+      throw err;
+    }
+  };
+  let token = await getToken();
+  let refreshed = false;
+
   const doFetch = async (tok) =>
-    fetch(`${baseUrl}${path}`, {
-      ...init,
+    fetchWithTimeout(`${baseUrl}${path}`, {
+      ...fetchInit,
       headers: {
         Accept: "application/json",
-        ...(init.headers || {}),
+        ...(fetchInit.headers || {}),
         Authorization: `Bearer ${tok}`,
       },
-    });
+    }, timeoutMs);
 
-  let res = await doFetch(token);
-  
-  if (res.status === 401) {
-    console.log("[E2] Got 401, refreshing token...");
-    const cacheKey = integration?.company_id || "global";
-    tokenCache.delete(cacheKey);
-    const token2 = await getE2AccessToken(integration);
-    res = await doFetch(token2);
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await doFetch(token);
+    } catch (err) {
+      const timedOut = err.name === "AbortError" || err.name === "TimeoutError";
+      if (canRetry && attempt < retries) {
+        console.warn(`[E2] ${method} ${path} ${timedOut ? "timeout" : "network error"}, retry ${attempt + 1}/${retries}`);
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      const e = new Error(timedOut
+        ? `E2 timeout after ${timeoutMs} ms (${method} ${path})`
+        : `E2 network error (${method} ${path}): ${err.message || err}`);
+      e.code = timedOut ? "E2_TIMEOUT" : "E2_NETWORK";
+      e.status = 504;
+      throw e;
+    }
+
+    if (res.status === 401 && !refreshed) {
+      console.log("[E2] Got 401, refreshing token...");
+      refreshed = true;
+      invalidateToken(integration);
+      token = await getToken();
+      attempt--; // token-refresh teller ikke som et retry-forsøk
+      continue;
+    }
+
+    if (canRetry && RETRYABLE_STATUSES.has(res.status) && attempt < retries) {
+      const wait = retryAfterMs(res) ?? backoffMs(attempt);
+      console.warn(`[E2] ${method} ${path} -> ${res.status}, retry ${attempt + 1}/${retries} in ${wait} ms`);
+      await res.arrayBuffer().catch(() => {});
+      await sleep(wait);
+      continue;
+    }
+
+    return res;
   }
-  
-  return res;
 }
 
-module.exports = { getE2AccessToken, e2Fetch, clearTokenCache };
+/**
+ * E2 call with body parsing and normalized errors - used by all gateway routes
+ * @param {string} path - API path
+ * @param {Object} init - same options as e2Fetch
+ * @param {Object} integration - Optional integration object
+ * @returns {Promise<{ ok: boolean, status: number, json: Object, rawText: string, error: Object|null }>}
+ *   error = { status, code, message, details, sent } when ok is false; sent is false when the request
+ *   never reached E2 (token failure), so the outcome of a non-idempotent call is known
+ */
+async function e2Request(path, init = {}, integration = null) {
+  const method = String(init.method || "GET").toUpperCase();
+
+  // Kaster aldri: token-, transport- og lesefeil blir et vanlig feilresultat, så kallerne
+  // alltid kan flytte eksport-raden ut av "pending"
+  const failed = (err, fallbackCode, fallbackStatus) => {
+    const status = err.status || fallbackStatus;
+    const error = {
+      status,
+      code: err.code || fallbackCode,
+      message: String(err.message || err),
+      details: null,
+      sent: err.requestSent !== false,
+    };
+    return { ok: false, status, json: { error: error.message }, rawText: "", error };
+  };
+
+  let res;
+  try {
+    res = await e2Fetch(path, init, integration);
+  } catch (err) {
+    return failed(err, "E2_CLIENT_ERROR", 502);
+  }
+
+  let rawText;
+  try {
+    rawText = await res.text();
+  } catch (err) {
+    return failed({ code: "E2_NETWORK", status: 504, message: `E2 network error reading ${method} ${path}: ${err.message || err}` });
+  }
+
+  // Detect HTML response (wrong endpoint, maintenance page or WAF) - same check as requestToken
+  if (rawText && isHtmlBody(rawText)) {
+    console.error(`[E2] ${method} ${path} returned HTML instead of JSON (status ${res.status})`);
+    const message = `E2 ${path} returned HTML (status ${res.status}). Check URL and IP whitelist.`;
+    const status = res.ok ? 502 : res.status;
+    return {
+      ok: false,
+      status,
+      json: { _nonJsonBody: rawText.substring(0, 300) },
+      rawText,
+      error: { status, code: "E2_HTML_RESPONSE", message, details: null, sent: true },
+    };
+  }
+
+  let json = {};
+  if (rawText) {
+    try {
+      json = JSON.parse(rawText);
+    } catch {
+      json = { _nonJsonBody: rawText };
+    }
+  }
+
+  if (res.ok) return { ok: true, status: res.status, json, rawText, error: null };
+
+  const message = json?.errorDetails || json?.message || json?.error || `E2 ${method} ${path} failed (${res.status})`;
+  return {
+    ok: false,
+    status: res.status,
+    json,
+    rawText,
+    error: { status: res.status, code: "E2_HTTP_ERROR", message: String(message), details: json, sent: true },
+  };
+}
+
+module.exports = { getE2AccessToken, e2Fetch, e2Request, clearTokenCache, listTokenCache, E2_REQUEST_MAX_MS };
@@ -0,0 +1,326 @@
+// e2Simulator.js
+// Lokal E2-simulator for utvikling og testing - pek E2_BASE_URL hit (npm run e2-sim)
+// Dekker endepunktene gatewayen bruker, med versjonering og feilsvar i samme form som E2
+// ({ returnCode, data } ved suksess, { returnCode: -1, errorDetails } ved feil). Tilstanden ligger kun i minnet.
+
+const crypto = require("crypto");
+const express = require("express");
+const multer = require("multer");
+
+const SIM_PORT = Number(process.env.E2_SIM_PORT) || 8090;
+const SIM_TOKEN_TTL_SECONDS = Number(process.env.E2_SIM_TOKEN_TTL) || 3600;
+const SIM_LATENCY_MS = Number(process.env.E2_SIM_LATENCY_MS) || 0;
+
+// Rapporttype i create-payload -> prefiks på e2Id (samme prefiks som delete-draft/:type forventer)
+const TYPE_PREFIX = { REPORT: "OR" };
+const VERSION_TYPES = new Set(["DRAFT", "MINOR", "MAJOR"]);
+
+function fail(res, status, errorDetails) {
+  return res.status(status).json({ returnCode: -1, errorDetails });
+}
+
+function ok(res, data) {
+  return res.json({ returnCode: 1, data });
+}
+
+/**
+ * Build an in-memory E2 stand-in
+ * @param {Object} [opts] - { clientId, clientSecret, tokenTtlSeconds, latencyMs, publicUrl }
+ *   Without clientId/clientSecret any non-empty credentials are accepted.
+ * @returns {{ app: import("express").Express, state: Object, injectFault: Function, reset: Function }}
+ */
+function createE2Simulator({
+  clientId = process.env.E2_SIM_CLIENT_ID || null,
+  clientSecret = process.env.E2_SIM_CLIENT_SECRET || null,
+  tokenTtlSeconds = SIM_TOKEN_TTL_SECONDS,
+  latencyMs = SIM_LATENCY_MS,
+  publicUrl = process.env.E2_SIM_PUBLIC_URL || null,
+} = {}) {
+  const state = { tokens: new Map(), occurrences: new Map(), faults: [], seq: 0 };
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024, files: 10 } });
+  const app = express();
+
+  const reset = () => {
+    state.tokens.clear();
+    state.occurrences.clear();
+    state.faults = [];
+    state.seq = 0;
+  };
+
+  // Planlagte feil: { method?, path (prefiks), status, times, errorDetails?, retryAfter? }
+  const injectFault = ({ method = null, path, status, times = 1, errorDetails = null, retryAfter = null }) => {
+    const fault = { method: method ? String(method).toUpperCase() : null, path, status: Number(status), times: Number(times), errorDetails, retryAfter };
+    state.faults.push(fault);
+    return fault;
+  };
+
+  app.use(express.json({ limit: "10mb" }));
+  app.use(express.urlencoded({ extended: false }));
+
+  if (latencyMs > 0) app.use((req, res, next) => setTimeout(next, latencyMs));
+
+  // -------------------------
+  // Styring av simulatoren (ikke en del av E2)
+  // -------------------------
+  app.get("/__sim/state", (req, res) => {
+    res.json({
+      occurrences: Array.from(state.occurrences.values()).map((o) => ({
+        e2Id: o.e2Id,
+        type: o.type,
+        status: o.status,
+        version: o.version,
+        versions: o.history.length,
+        attachments: Object.values(o.attachments).reduce((n, files) => n + files.length, 0),
+      })),
+      tokens: state.tokens.size,
+      faults: state.faults,
+    });
+  });
+
+  app.post("/__sim/reset", (req, res) => {
+    reset();
+    res.json({ ok: true });
+  });
+
+  app.post("/__sim/faults", (req, res) => {
+    const { path, status } = req.body || {};
+    if (!path || !Number.isInteger(Number(status))) return res.status(400).json({ ok: false, error: "path og status er påkrevd" });
+    res.json({ ok: true, fault: injectFault(req.body) });
+  });
+
+  // Injiserte feil gjelder alle E2-endepunkter, også token
+  app.use((req, res, next) => {
+    if (req.path.startsWith("/__sim")) return next();
+    const fault = state.faults.find((f) => req.path.startsWith(f.path) && (!f.method || f.method === req.method));
+    if (!fault) return next();
+    if (--fault.times <= 0) state.faults.splice(state.faults.indexOf(fault), 1);
+    if (fault.retryAfter != null) res.setHeader("Retry-After", String(fault.retryAfter));
+    return fail(res, fault.status, fault.errorDetails || `Simulated failure (${fault.status})`);
+  });
+
+  // -------------------------
+  // OAuth2 client credentials (body eller Basic auth, som e2Client prøver)
+  // -------------------------
+  app.post("/idp/oauth2/token", (req, res) => {
+    const body = req.body || {};
+    let id = body.client_id;
+    let secret = body.client_secret;
+
+    const auth = req.headers.authorization || "";
+    if (auth.startsWith("Basic ")) {
+      const decoded = Buffer.from(auth.slice(6), "base64").toString("utf8");
+      const idx = decoded.indexOf(":");
+      id = decoded.slice(0, idx);
+      secret = decoded.slice(idx + 1);
+    }
+
+    if (body.grant_type !== "client_credentials") {
+      return res.status(400).json({ error: "unsupported_grant_type", error_description: "Only client_credentials is supported" });
+    }
+    const valid = clientId ? id === clientId && secret === clientSecret : Boolean(id && secret);
+    if (!valid) return res.status(401).json({ error: "invalid_client", error_description: "Client authentication failed" });
+
+    const token = crypto.randomBytes(24).toString("hex");
+    state.tokens.set(token, { clientId: id, expiresAt: Date.now() + tokenTtlSeconds * 1000 });
+    return res.json({ access_token: token, token_type: "Bearer", expires_in: tokenTtlSeconds, scope: body.scope || "" });
+  });
+
+  // Alle /occurrences-kall krever gyldig Bearer-token
+  app.use("/occurrences", (req, res, next) => {
+    const auth = req.headers.authorization || "";
+    const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
+    const entry = token ? state.tokens.get(token) : null;
+    if (!entry) return fail(res, 401, "Invalid or missing access token");
+    if (entry.expiresAt <= Date.now()) {
+      state.tokens.delete(token);
+      return fail(res, 401, "Access token expired");
+    }
+    return next();
+  });
+
+  const findOccurrence = (res, e2Id) => {
+    const occ = state.occurrences.get(String(e2Id || ""));
+    if (!occ) {
+      fail(res, 404, `Occurrence ${e2Id} not found`);
+      return null;
+    }
+    return occ;
+  };
+
+  const snapshot = (occ, versionType) => {
+    occ.history.push({
+      version: occ.version,
+      versionType,
+      status: occ.status,
+      taxonomyCodes: occ.taxonomyCodes,
+      updatedAt: occ.updatedAt,
+    });
+  };
+
+  // -------------------------
+  // Occurrences
+  // -------------------------
+  app.post("/occurrences/create", (req, res) => {
+    const { type, status = "DRAFT", taxonomyCodes } = req.body || {};
+    const prefix = TYPE_PREFIX[type];
+    if (!prefix) return fail(res, 400, `Unsupported occurrence type: ${type}`);
+    if (status !== "DRAFT") return fail(res, 400, "New occurrences must be created with status DRAFT");
+    if (!taxonomyCodes || typeof taxonomyCodes !== "object" || Object.keys(taxonomyCodes).length === 0) {
+      return fail(res, 400, "taxonomyCodes is required");
+    }
+
+    const e2Id = `${prefix}-${String(++state.seq).padStart(16, "0")}`;
+    const now = new Date().toISOString();
+    const occ = {
+      e2Id,
+      type,
+      status: "DRAFT",
+      version: 1,
+      taxonomyCodes,
+      attachments: {},
+      history: [],
+      createdAt: now,
+      updatedAt: now,
+      submittedAt: null,
+    };
+    snapshot(occ, "DRAFT");
+    state.occurrences.set(e2Id, occ);
+    return ok(res, { e2Id, version: occ.version, status: occ.status });
+  });
+
+  // Optimistisk låsing: version må være gjeldende versjon, ellers 409
+  app.put("/occurrences/edit", (req, res) => {
+    const { e2Id, version, versionType = "DRAFT", taxonomyCodes } = req.body || {};
+    if (!e2Id) return fail(res, 400, "e2Id is required");
+    if (!VERSION_TYPES.has(versionType)) return fail(res, 400, `Invalid versionType: ${versionType}`);
+    if (!taxonomyCodes || typeof taxonomyCodes !== "object") return fail(res, 400, "taxonomyCodes is required");
+
+    const occ = findOccurrence(res, e2Id);
+    if (!occ) return;
+
+    if (Number(version) !== occ.version) {
+      return fail(res, 409, `Version conflict: occurrence ${e2Id} is at version ${occ.version}, got ${version}`);
+    }
+    // DRAFT-endringer kun før innsending; MINOR/MAJOR (oppfølging) kun etter
+    if (versionType === "DRAFT" && occ.submittedAt) {
+      return fail(res, 409, `Occurrence ${e2Id} has been sent - use versionType MINOR or MAJOR`);
+    }
+    if (versionType !== "DRAFT" && !occ.submittedAt) {
+      return fail(res, 409, `Occurrence ${e2Id} has not been sent - use versionType DRAFT`);
+    }
+
+    occ.version += 1;
+    occ.status = "DRAFT";
+    occ.taxonomyCodes = taxonomyCodes;
+    occ.updatedAt = new Date().toISOString();
+    snapshot(occ, versionType);
+    return ok(res, { e2Id, version: occ.version, status: occ.status });
+  });
+
+  app.post("/occurrences/change-status", (req, res) => {
+    const { e2Id, status } = req.body || {};
+    if (!e2Id) return fail(res, 400, "e2Id is required");
+    if (status !== "SENT") return fail(res, 400, `Unsupported status transition: ${status}`);
+
+    const occ = findOccurrence(res, e2Id);
+    if (!occ) return;
+    if (occ.status !== "DRAFT") return fail(res, 409, `Occurrence ${e2Id} is already ${occ.status}`);
+
+    occ.status = "SENT";
+    occ.submittedAt = occ.submittedAt || new Date().toISOString();
+    occ.updatedAt = new Date().toISOString();
+    occ.history[occ.history.length - 1].status = "SENT";
+    return ok(res, { e2Id, status: occ.status, version: occ.version });
+  });
+
+  app.delete("/occurrences/delete-draft/:type/:id", (req, res) => {
+    const { type, id } = req.params;
+    if (!String(id).startsWith(`${type}-`)) return fail(res, 400, `Type ${type} does not match ${id}`);
+
+    const occ = findOccurrence(res, id);
+    if (!occ) return;
+    if (occ.submittedAt) return fail(res, 409, `Occurrence ${id} has been sent and cannot be deleted`);
+
+    state.occurrences.delete(occ.e2Id);
+    return ok(res, { e2Id: occ.e2Id, deleted: true });
+  });
+
+  app.get("/occurrences/get/:id", (req, res) => {
+    const occ = findOccurrence(res, req.params.id);
+    if (!occ) return;
+    return ok(res, {
+      e2Id: occ.e2Id,
+      type: occ.type,
+      status: occ.status,
+      version: occ.version,
+      taxonomyCodes: occ.taxonomyCodes,
+      createdAt: occ.createdAt,
+      updatedAt: occ.updatedAt,
+      submittedAt: occ.submittedAt,
+    });
+  });
+
+  app.get("/occurrences/get-URL/:id", (req, res) => {
+    const occ = findOccurrence(res, req.params.id);
+    if (!occ) return;
+    const base = publicUrl || `${req.protocol}://${req.get("host")}`;
+    return ok(res, { url: `${base}/__sim/occurrences/${encodeURIComponent(occ.e2Id)}` });
+  });
+
+  // Lenken fra get-URL - viser occurrence med alle versjoner
+  app.get("/__sim/occurrences/:id", (req, res) => {
+    const occ = state.occurrences.get(req.params.id);
+    if (!occ) return res.status(404).json({ ok: false, error: "Finnes ikke" });
+    return res.json(occ);
+  });
+
+  // Vedlegg endrer ikke versjonsnummeret - gatewayen oppdaterer ikke e2_version etter opplasting
+  app.put("/occurrences/attachments/:id", upload.array("files", 10), (req, res) => {
+    const { attributePath, versionType = "DRAFT", overwrite = "false", entityID = "" } = req.query;
+    if (!attributePath) return fail(res, 400, "attributePath is required");
+    if (!VERSION_TYPES.has(versionType)) return fail(res, 400, `Invalid versionType: ${versionType}`);
+    if (!req.files || req.files.length === 0) return fail(res, 400, "No files in request");
+
+    const occ = findOccurrence(res, req.params.id);
+    if (!occ) return;
+    if (occ.status !== "DRAFT") return fail(res, 409, `Occurrence ${occ.e2Id} is ${occ.status} - attachments require a draft`);
+
+    const slot = `${attributePath}|${entityID}`;
+    const files = req.files.map((f) => ({
+      fileName: f.originalname,
+      size: f.size,
+      contentType: f.mimetype,
+      uploadedAt: new Date().toISOString(),
+    }));
+    occ.attachments[slot] = String(overwrite) === "true" ? files : [...(occ.attachments[slot] || []), ...files];
+    return ok(res, { e2Id: occ.e2Id, attributePath, entityID: entityID || null, files: occ.attachments[slot] });
+  });
+
+  // Ukjente stier svarer som E2 (JSON, ikke Express sin HTML-side)
+  app.use((req, res) => fail(res, 404, `No route for ${req.method} ${req.path}`));
+
+  return { app, state, injectFault, reset };
+}
+
+/**
+ * Start the simulator on a port
+ * @param {Object} [opts] - createE2Simulator options plus { port }
+ * @returns {Promise<{ server: import("http").Server, url: string, state: Object, injectFault: Function, reset: Function }>}
+ */
+function startE2Simulator({ port = SIM_PORT, ...opts } = {}) {
+  const sim = createE2Simulator(opts);
+  return new Promise((resolve) => {
+    const server = sim.app.listen(port, "127.0.0.1", () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      resolve({ ...sim, server, url });
+    });
+  });
+}
+
+if (require.main === module) {
+  startE2Simulator().then(({ url }) => {
+    console.log(`[e2-sim] E2-simulator kjører på ${url} - sett E2_BASE_URL=${url}`);
+  });
+}
+
+module.exports = { createE2Simulator, startE2Simulator };
@@ -0,0 +1,417 @@
+// e5x.js
+// ECCAIRS E5X (zippet XML etter ECCAIRS data definition) - offline eksport og import av en occurrence
+// Eksporten bygges fra samme taxonomyCodes-struktur som sendes til E2, slik at seleksjoner,
+// entiteter og value-list koder er identiske med det E2 ville fått. Importen går motsatt vei
+// til incident_eccairs_attributes-rader.
+
+const { createZip, listZipEntries, readZipEntry, isZip } = require("./zipArchive");
+const { validateValueListSelections } = require("./eccairsPayload");
+
+const E5X_NAMESPACE = "http://eccairsportal.jrc.ec.europa.eu/ECCAIRS5_dataBridge.xsd";
+const E5X_TAXONOMY_NAME = "ECCAIRS Aviation";
+const E5X_TAXONOMY_VERSION = process.env.ECCAIRS_TAXONOMY_VERSION || "5.1.1.0";
+const E5X_XML_NAME = "occurrence.xml";
+// E5X dekker kun Occurrence-taksonomien
+const E5X_TAXONOMY_CODE = "24";
+
+// Elementnavn for kjente entiteter, øvrige skrives som Entity_<id> med entityId-attributt
+const E5X_ENTITY_NAMES = {
+  '24': 'Occurrence',
+  '4': 'Aircraft',
+  '14': 'Events',
+  '53': 'Reporting_History',
+};
+
+// Vedlegg refereres fra attributt 793 (Attachments) på occurrence-nivå
+const ATTACHMENT_ATTRIBUTE = '793';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// "Occurrence class" -> "Occurrence_Class"; XML-navn kan ikke starte med tall
+function toElementName(name, fallback) {
+  const cleaned = String(name || "")
+    .trim()
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((w) => w[0].toUpperCase() + w.slice(1))
+    .join("_");
+  return cleaned && /^[A-Za-z]/.test(cleaned) ? cleaned : fallback;
+}
+
+function attributeElementName(code, attributeNames) {
+  return toElementName(attributeNames?.get?.(String(code))?.name, `Attribute_${code}`);
+}
+
+function entityElementName(entityId) {
+  return E5X_ENTITY_NAMES[entityId] || `Entity_${entityId}`;
+}
+
+// En E2-verdi (int, tekst, { content }, { text }, { content, additionalText }) som XML-innhold
+function valueToXml(item, indent) {
+  if (item == null) return "";
+  if (typeof item !== "object") return `${indent}<Value>${escapeXml(item)}</Value>\n`;
+  if (item.text != null) return `${indent}<Text>${escapeXml(item.text)}</Text>\n`;
+  if (Array.isArray(item.content)) {
+    // Fritekst (code_and_additional_text) følger koden den hører til
+    const extra = item.additionalText != null ? ` additionalText="${escapeXml(item.additionalText)}"` : "";
+    return item.content.map((v) => `${indent}<Value${extra}>${escapeXml(v)}</Value>\n`).join("");
+  }
+  return `${indent}<Value>${escapeXml(JSON.stringify(item))}</Value>\n`;
+}
+
+function attributesToXml(attributes, attributeNames, indent) {
+  let xml = "";
+  for (const [code, values] of Object.entries(attributes || {})) {
+    const name = attributeElementName(code, attributeNames);
+    const list = Array.isArray(values) ? values : [values];
+    // Enkle verdier skrives inline, sammensatte som barn-elementer
+    if (list.length === 1 && (list[0] == null || typeof list[0] !== "object")) {
+      xml += `${indent}<${name} attributeId="${escapeXml(code)}">${escapeXml(list[0] ?? "")}</${name}>\n`;
+    } else {
+      xml += `${indent}<${name} attributeId="${escapeXml(code)}">\n`;
+      for (const item of list) xml += valueToXml(item, `${indent}  `);
+      xml += `${indent}</${name}>\n`;
+    }
+  }
+  return xml;
+}
+
+function entitiesToXml(entities, attributeNames, indent) {
+  let xml = "";
+  for (const [entityId, instances] of Object.entries(entities || {})) {
+    const name = entityElementName(entityId);
+    for (const instance of Array.isArray(instances) ? instances : []) {
+      if (!instance || instance.DELETE) continue;
+      xml += `${indent}<${name} entityId="${escapeXml(entityId)}" ID="${escapeXml(instance.ID || "")}">\n`;
+      xml += `${indent}  <ATTRIBUTES>\n${attributesToXml(instance.ATTRIBUTES, attributeNames, `${indent}    `)}${indent}  </ATTRIBUTES>\n`;
+      if (instance.ENTITIES && Object.keys(instance.ENTITIES).length > 0) {
+        xml += `${indent}  <ENTITIES>\n${entitiesToXml(instance.ENTITIES, attributeNames, `${indent}    `)}${indent}  </ENTITIES>\n`;
+      }
+      xml += `${indent}</${name}>\n`;
+    }
+  }
+  return xml;
+}
+
+// Alle attributtkoder i blokken (for navneoppslag i eccairs.attributes)
+function collectAttributeCodes(block, codes = new Set()) {
+  for (const code of Object.keys(block?.ATTRIBUTES || {})) codes.add(code);
+  for (const instances of Object.values(block?.ENTITIES || {})) {
+    for (const instance of Array.isArray(instances) ? instances : []) collectAttributeCodes(instance, codes);
+  }
+  return codes;
+}
+
+/**
+ * Build the E5X XML document for one occurrence
+ * @param {Object} opts
+ * @param {Object} opts.taxonomyBlock - taxonomyCodes["24"] from buildE2Payload (create mode)
+ * @param {Map} [opts.attributeNames] - code -> { name } from loadAttributeInfo
+ * @param {string[]} [opts.attachmentNames] - file names stored next to the XML in the archive
+ * @returns {string} XML
+ */
+function buildE5XXml({ taxonomyBlock, attributeNames = new Map(), attachmentNames = [] }) {
+  const attributes = { ...(taxonomyBlock?.ATTRIBUTES || {}) };
+  if (attachmentNames.length > 0) {
+    attributes[ATTACHMENT_ATTRIBUTE] = attachmentNames.map((fileName) => ({ text: fileName }));
+  }
+
+  let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  xml += `<SET xmlns="${E5X_NAMESPACE}" TaxonomyName="${E5X_TAXONOMY_NAME}" TaxonomyVersion="${E5X_TAXONOMY_VERSION}" Domain="RIT" Version="1.0.0.0">\n`;
+  xml += `  <Occurrence entityId="24" ID="${escapeXml(taxonomyBlock?.ID || "")}">\n`;
+  xml += `    <ATTRIBUTES>\n${attributesToXml(attributes, attributeNames, "      ")}    </ATTRIBUTES>\n`;
+  if (taxonomyBlock?.ENTITIES && Object.keys(taxonomyBlock.ENTITIES).length > 0) {
+    xml += `    <ENTITIES>\n${entitiesToXml(taxonomyBlock.ENTITIES, attributeNames, "      ")}    </ENTITIES>\n`;
+  }
+  xml += `  </Occurrence>\n`;
+  xml += `</SET>\n`;
+  return xml;
+}
+
+// Unike, trygge filnavn i arkivet
+function archiveFileNames(files) {
+  const seen = new Set();
+  return files.map((f) => {
+    const base = String(f.name || "attachment").split(/[\\/]/).pop().replace(/[^\w.\- ]+/g, "_") || "attachment";
+    let name = base;
+    for (let i = 2; seen.has(name.toLowerCase()); i++) name = base.replace(/(\.[^.]*)?$/, `_${i}$1`);
+    seen.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Build a downloadable .e5x archive (zip with the XML and any attachments)
+ * @param {Object} opts
+ * @param {Object} opts.taxonomyBlock - taxonomyCodes["24"]
+ * @param {Map} [opts.attributeNames]
+ * @param {Array<{ name: string, data: Buffer }>} [opts.attachments]
+ * @returns {{ buffer: Buffer, xml: string, files: string[] }}
+ */
+function buildE5XArchive({ taxonomyBlock, attributeNames, attachments = [] }) {
+  const names = archiveFileNames(attachments);
+  const xml = buildE5XXml({ taxonomyBlock, attributeNames, attachmentNames: names });
+  const buffer = createZip([
+    { name: E5X_XML_NAME, data: xml },
+    ...attachments.map((a, i) => ({ name: names[i], data: a.data })),
+  ]);
+  return { buffer, xml, files: [E5X_XML_NAME, ...names] };
+}
+
+// -------------------------
+// E5X-import: XML -> incident_eccairs_attributes-rader
+// -------------------------
+const XML_NAMED_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ent) => {
+    if (ent[0] === "#") {
+      const code = ent[1].toLowerCase() === "x" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_NAMED_ENTITIES[ent.toLowerCase()] ?? match;
+  });
+}
+
+// Navn uten namespace-prefiks ("e5x:Occurrence" -> "Occurrence")
+function localName(name) {
+  return name.includes(":") ? name.split(":").pop() : name;
+}
+
+/**
+ * Minimal XML parser (elements, attributes, text, CDATA) - enough for E5X, no DTD support
+ * @param {string} xml
+ * @returns {Object} root node { name, attrs, children, text }
+ */
+function parseXml(xml) {
+  const root = { name: "#document", attrs: {}, children: [], text: "" };
+  const stack = [root];
+  const token = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[\s\S]*?>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let m;
+  let pos = 0;
+  while ((m = token.exec(xml))) {
+    // Tegn regexen hoppet over betyr en "<" som ikke er gyldig markup
+    if (m.index !== pos) throw new Error(`Ugyldig XML ved posisjon ${pos}`);
+    pos = token.lastIndex;
+    const current = stack[stack.length - 1];
+    if (m[1] != null) {
+      current.text += m[1];
+    } else if (m[2] != null) {
+      if (stack.length === 1 || current.name !== localName(m[2])) {
+        throw new Error(`Ugyldig XML: uventet </${m[2]}>`);
+      }
+      stack.pop();
+    } else if (m[3] != null) {
+      const attrs = {};
+      const attrRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let a;
+      while ((a = attrRe.exec(m[4] || ""))) attrs[localName(a[1])] = decodeXml(a[2] ?? a[3] ?? "");
+      const node = { name: localName(m[3]), attrs, children: [], text: "" };
+      current.children.push(node);
+      if (!m[5]) stack.push(node);
+    } else if (m[6] != null) {
+      current.text += decodeXml(m[6]);
+    }
+  }
+  if (pos !== xml.length) throw new Error(`Ugyldig XML ved posisjon ${pos}`);
+  if (stack.length !== 1) throw new Error(`Ugyldig XML: <${stack[stack.length - 1].name}> er ikke lukket`);
+  return root;
+}
+
+function childrenNamed(node, name) {
+  return (node?.children || []).filter((c) => c.name === name);
+}
+
+function findAll(node, name, out = []) {
+  for (const child of node.children) {
+    if (child.name === name) out.push(child);
+    else findAll(child, name, out);
+  }
+  return out;
+}
+
+const ENTITY_IDS_BY_NAME = Object.fromEntries(Object.entries(E5X_ENTITY_NAMES).map(([id, name]) => [name, id]));
+const INT_RE = /^-?\d+$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}(:\d{2})?$/;
+const UTC_DATE_ATTRIBUTE = '477';
+
+function entityIdOf(node) {
+  if (node.attrs.entityId && /^\d+$/.test(node.attrs.entityId)) return node.attrs.entityId;
+  if (ENTITY_IDS_BY_NAME[node.name]) return ENTITY_IDS_BY_NAME[node.name];
+  const m = node.name.match(/^Entity_(\d+)$/);
+  return m ? m[1] : null;
+}
+
+function attributeCodeOf(node) {
+  if (node.attrs.attributeId && /^\d+$/.test(node.attrs.attributeId)) return node.attrs.attributeId;
+  const m = node.name.match(/^Attribute_(\d+)$/);
+  return m ? m[1] : null;
+}
+
+// Én attributt-node -> felter for incident_eccairs_attributes (format velges ut fra innholdet)
+function attributeToRow(code, node, formatOverrides) {
+  const texts = childrenNamed(node, "Text").map((t) => t.text.trim()).filter(Boolean);
+  const values = childrenNamed(node, "Value").map((v) => ({ value: v.text.trim(), additionalText: v.attrs.additionalText ?? null }));
+  const inline = node.children.length === 0 ? node.text.trim() : "";
+
+  let row;
+  if (texts.length > 0) {
+    row = { format: "text_content_array", value_id: null, text_value: texts.join("\n\n") };
+  } else if (values.length > 0) {
+    const ids = values.map((v) => v.value);
+    const additional = values.find((v) => v.additionalText != null)?.additionalText ?? null;
+    if (!ids.every((id) => INT_RE.test(id))) {
+      row = { format: "string_array", value_id: null, text_value: ids.join(", ") };
+    } else {
+      const valueId = ids.length > 1 ? JSON.stringify(ids.map(Number)) : ids[0];
+      row = additional != null
+        ? { format: "code_and_additional_text", value_id: valueId, text_value: additional }
+        : { format: ids.length > 1 ? "content_object_array" : "value_list_int_array", value_id: valueId, text_value: null };
+    }
+  } else if (inline) {
+    if (INT_RE.test(inline)) row = { format: "value_list_int_array", value_id: inline, text_value: null };
+    else if (DATE_RE.test(inline)) row = { format: code === UTC_DATE_ATTRIBUTE ? "utc_date" : "local_date", value_id: null, text_value: inline };
+    else if (TIME_RE.test(inline)) row = { format: "local_time", value_id: null, text_value: inline };
+    else row = { format: "string_array", value_id: null, text_value: inline };
+  } else {
+    return null;
+  }
+
+  // Gateway-overstyringer (mapping-konfigurasjonen) vinner over gjetningen
+  if (formatOverrides?.[code]) row.format = formatOverrides[code];
+  return row;
+}
+
+/**
+ * Map an E5X XML document to incident_eccairs_attributes rows (without incident_id)
+ * @param {string} xml
+ * @param {Object} [opts] - { formatOverrides } from the effective mapping rules
+ * @returns {{ rows: Array, skipped: Array, warnings: string[] }}
+ */
+function e5xToAttributeRows(xml, { formatOverrides = {} } = {}) {
+  const doc = parseXml(xml);
+  const occurrences = findAll(doc, "Occurrence");
+  if (occurrences.length === 0) throw new Error("Fant ingen <Occurrence> i E5X-filen");
+
+  const rows = [];
+  const skipped = [];
+  const warnings = [];
+  if (occurrences.length > 1) warnings.push(`Filen inneholder ${occurrences.length} occurrences - kun den første importeres`);
+
+  const readAttributes = (container, entityPath, entityInstance) => {
+    for (const attrNode of childrenNamed(container, "ATTRIBUTES").flatMap((a) => a.children)) {
+      const code = attributeCodeOf(attrNode);
+      if (!code) {
+        skipped.push({ element: attrNode.name, entity_path: entityPath, reason: "Mangler attributeId" });
+        continue;
+      }
+      if (code === ATTACHMENT_ATTRIBUTE) {
+        skipped.push({ attribute_code: code, entity_path: entityPath, reason: "Vedlegg importeres ikke - last dem opp separat" });
+        continue;
+      }
+      const row = attributeToRow(code, attrNode, formatOverrides);
+      if (!row) {
+        skipped.push({ attribute_code: code, entity_path: entityPath, reason: "Tom verdi" });
+        continue;
+      }
+      rows.push({
+        attribute_code: code,
+        taxonomy_code: E5X_TAXONOMY_CODE,
+        entity_path: entityPath,
+        entity_instance: entityInstance,
+        ...row,
+      });
+    }
+  };
+
+  const readEntities = (container, parentSegments) => {
+    const instanceCounts = {};
+    for (const entityNode of childrenNamed(container, "ENTITIES").flatMap((e) => e.children)) {
+      const entityId = entityIdOf(entityNode);
+      if (!entityId) {
+        skipped.push({ element: entityNode.name, reason: "Ukjent entitet (mangler entityId)" });
+        continue;
+      }
+      // Instanser nummereres i dokumentrekkefølge per entitet under samme forelder
+      instanceCounts[entityId] = (instanceCounts[entityId] || 0) + 1;
+      const instance = String(instanceCounts[entityId]);
+      const entityPath = [...parentSegments, entityId].join("/");
+
+      readAttributes(entityNode, entityPath, instance === "1" ? null : instance);
+      readEntities(entityNode, [...parentSegments, instance === "1" ? entityId : `${entityId}:${instance}`]);
+    }
+  };
+
+  readAttributes(occurrences[0], null, null);
+  readEntities(occurrences[0], []);
+
+  return { rows, skipped, warnings };
+}
+
+// Importen trenger bare XML-en; vedlegg i arkivet listes, men pakkes ikke ut
+const E5X_MAX_XML_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Extract the XML document from an uploaded .e5x archive or plain XML file
+ * @param {Buffer} buffer
+ * @returns {{ xml: string, files: string[] }}
+ */
+function readE5XFile(buffer) {
+  if (!isZip(buffer)) return { xml: buffer.toString("utf8"), files: [] };
+
+  const entries = listZipEntries(buffer);
+  const xmlEntry = entries.find((e) => e.name.split("/").pop() === E5X_XML_NAME)
+    || entries.find((e) => /\.xml$/i.test(e.name));
+  if (!xmlEntry) throw new Error("Fant ingen XML-fil i E5X-arkivet");
+
+  const xml = readZipEntry(buffer, xmlEntry, { maxBytes: E5X_MAX_XML_BYTES });
+  return { xml: xml.toString("utf8"), files: entries.map((e) => e.name) };
+}
+
+/**
+ * Report value-list codes in imported rows that do not exist in eccairs.value_list_items
+ * @param {Object} supabase
+ * @param {Array} rows - rows from e5xToAttributeRows
+ * @returns {Promise<{ valid: Array, unknown: Array }>}
+ */
+async function checkImportedValues(supabase, rows) {
+  const isValueList = (r) => r.value_id && ["value_list_int_array", "code_and_additional_text", "content_object_array"].includes(r.format);
+  const validSet = await validateValueListSelections(
+    supabase,
+    rows.filter(isValueList).map((r) => ({ code: r.attribute_code, valueId: r.value_id }))
+  );
+
+  const valid = [];
+  const unknown = [];
+  for (const row of rows) {
+    if (!isValueList(row)) {
+      valid.push(row);
+      continue;
+    }
+    const ids = String(row.value_id).startsWith("[") ? JSON.parse(row.value_id).map(String) : [String(row.value_id)];
+    const missing = ids.filter((id) => !validSet.has(`VL${row.attribute_code}:${id}`));
+    if (missing.length === 0) valid.push(row);
+    else unknown.push({ ...row, value_list_key: `VL${row.attribute_code}`, unknown_values: missing });
+  }
+  return { valid, unknown };
+}
+
+module.exports = {
+  buildE5XXml,
+  buildE5XArchive,
+  collectAttributeCodes,
+  readE5XFile,
+  e5xToAttributeRows,
+  checkImportedValues,
+  E5X_ENTITY_NAMES,
+  E5X_TAXONOMY_CODE,
+  E5X_XML_NAME,
+};
@@ -0,0 +1,338 @@
+// eccairsCatalog.js
+// Oppslag i ECCAIRS-taksonomien (schema: eccairs) - attributtnavn, value-list labels og forslag
+// Brukes til å forklare payloaden for safety managers (hva ble sendt, hva ble avvist og hvorfor)
+
+// Tabeller/kolonner i eccairs-schemaet
+const ATTRIBUTES_TABLE = "attributes";            // attribute_code, name, description, value_list_key
+const VALUE_LIST_ITEMS_TABLE = "value_list_items"; // value_list_key, value_id, value_description, value_explanation, parent_id
+
+const SUGGESTION_LIMIT = 3;
+// Maks antall value-list items som hentes for å rangere forslag
+const SUGGESTION_SCAN_LIMIT = 1000;
+
+// 42P01 = tabellen finnes ikke, 42703 = kolonnen finnes ikke (taksonomien er ikke lastet inn ennå)
+function isMissingCatalog(error) {
+  return ["42P01", "42703"].includes(String(error?.code));
+}
+
+function valueListKeyFor(code, attributeInfo) {
+  return attributeInfo?.value_list_key || `VL${code}`;
+}
+
+/**
+ * Load attribute names/descriptions for a set of attribute codes
+ * @param {Object} supabase - service-role Supabase client
+ * @param {string[]} codes - attribute codes
+ * @returns {Promise<Map<string, Object>>} code -> { name, description, value_list_key }
+ */
+async function loadAttributeInfo(supabase, codes) {
+  const info = new Map();
+  const unique = Array.from(new Set((codes || []).map(String)));
+  if (unique.length === 0) return info;
+
+  const { data, error } = await supabase
+    .schema("eccairs")
+    .from(ATTRIBUTES_TABLE)
+    .select("attribute_code, name, description, value_list_key")
+    .in("attribute_code", unique);
+
+  if (error) {
+    if (isMissingCatalog(error)) return info;
+    throw error;
+  }
+
+  for (const row of data || []) {
+    info.set(String(row.attribute_code), {
+      name: row.name || null,
+      description: row.description || null,
+      value_list_key: row.value_list_key || null,
+    });
+  }
+  return info;
+}
+
+/**
+ * Load labels for value-list items
+ * @param {Object} supabase
+ * @param {Array<{ value_list_key: string, value_id: string|number }>} items
+ * @returns {Promise<Map<string, Object>>} "VLxxx:id" -> { label, description }
+ */
+async function loadValueLabels(supabase, items) {
+  const labels = new Map();
+  const keys = Array.from(new Set((items || []).map((i) => i.value_list_key)));
+  const ids = Array.from(new Set((items || []).map((i) => String(i.value_id))));
+  if (keys.length === 0 || ids.length === 0) return labels;
+
+  // Ett kall for alle nøkler - gir et supersett som filtreres på nøkkel:id
+  const { data, error } = await supabase
+    .schema("eccairs")
+    .from(VALUE_LIST_ITEMS_TABLE)
+    .select("value_list_key, value_id, value_description, value_explanation")
+    .in("value_list_key", keys)
+    .in("value_id", ids);
+
+  if (error) {
+    if (isMissingCatalog(error)) return labels;
+    throw error;
+  }
+
+  for (const row of data || []) {
+    labels.set(`${row.value_list_key}:${row.value_id}`, {
+      label: row.value_description || null,
+      description: row.value_explanation || null,
+    });
+  }
+  return labels;
+}
+
+// Ordlikhet (Jaccard på ord) mellom fritekst og en label
+function textSimilarity(a, b) {
+  const words = (s) => new Set(String(s || "").toLowerCase().split(/[^a-z0-9æøå]+/i).filter(Boolean));
+  const wa = words(a);
+  const wb = words(b);
+  if (wa.size === 0 || wb.size === 0) return 0;
+  let shared = 0;
+  for (const w of wa) if (wb.has(w)) shared++;
+  return shared / (wa.size + wb.size - shared);
+}
+
+/**
+ * Suggest the closest valid values in a value list for an invalid selection
+ * @param {Object} supabase
+ * @param {string} valueListKey - e.g. "VL390"
+ * @param {Object} opts - { invalidIds: number[], text: string|null, limit }
+ * @returns {Promise<Array<{ value_id, label, description }>>}
+ */
+async function suggestValues(supabase, valueListKey, { invalidIds = [], text = null, limit = SUGGESTION_LIMIT } = {}) {
+  const { data, error } = await supabase
+    .schema("eccairs")
+    .from(VALUE_LIST_ITEMS_TABLE)
+    .select("value_list_key, value_id, value_description, value_explanation")
+    .eq("value_list_key", valueListKey)
+    .limit(SUGGESTION_SCAN_LIMIT);
+
+  if (error) {
+    if (isMissingCatalog(error)) return [];
+    throw error;
+  }
+
+  // Med fritekst (text_value) rangeres på label-likhet, ellers på numerisk nærhet til ugyldig id
+  const target = invalidIds.length > 0 ? Number(invalidIds[0]) : null;
+  const scored = (data || []).map((row) => {
+    const distance = target != null && Number.isFinite(Number(row.value_id))
+      ? Math.abs(Number(row.value_id) - target)
+      : Number.MAX_SAFE_INTEGER;
+    return { row, similarity: text ? textSimilarity(text, row.value_description) : 0, distance };
+  });
+
+  scored.sort((a, b) => (b.similarity - a.similarity) || (a.distance - b.distance));
+
+  return scored.slice(0, limit).map(({ row }) => ({
+    value_id: row.value_id,
+    label: row.value_description || null,
+    description: row.value_explanation || null,
+  }));
+}
+
+// -------------------------
+// Value-list søk og attributt-katalog (for incident-skjemaet i front-end)
+// -------------------------
+const SEARCH_DEFAULT_LIMIT = 50;
+const SEARCH_MAX_LIMIT = 200;
+const VALUE_ITEM_COLUMNS = "value_list_key, value_id, value_description, value_explanation";
+
+function escapeLike(q) {
+  return String(q).replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+function toValueItem(row) {
+  return {
+    value_id: row.value_id,
+    label: row.value_description || null,
+    description: row.value_explanation || null,
+    parent_id: row.parent_id ?? null,
+  };
+}
+
+/**
+ * Search a value list
+ * @param {Object} supabase
+ * @param {string} valueListKey - e.g. "VL390"
+ * @param {Object} opts
+ * @param {string} [opts.q] - search text
+ * @param {'prefix'|'fulltext'} [opts.match] - prefix (ILIKE 'q%') or Postgres full-text on the label
+ * @param {string|null} [opts.parent] - only children of this value_id ("root" = top level)
+ * @param {number} [opts.limit]
+ * @param {number} [opts.offset]
+ * @returns {Promise<Object>} { items, total, limit, offset, hierarchy }
+ */
+async function searchValueList(supabase, valueListKey, { q = null, match = "prefix", parent = null, limit = SEARCH_DEFAULT_LIMIT, offset = 0 } = {}) {
+  const pageSize = Math.min(Math.max(1, Number(limit) || SEARCH_DEFAULT_LIMIT), SEARCH_MAX_LIMIT);
+  const from = Math.max(0, Number(offset) || 0);
+
+  const run = (withHierarchy) => {
+    let query = supabase
+      .schema("eccairs")
+      .from(VALUE_LIST_ITEMS_TABLE)
+      .select(withHierarchy ? `${VALUE_ITEM_COLUMNS}, parent_id` : VALUE_ITEM_COLUMNS, { count: "exact" })
+      .eq("value_list_key", valueListKey);
+
+    if (q) {
+      query = match === "fulltext"
+        ? query.textSearch("value_description", q, { type: "websearch", config: "simple" })
+        : query.ilike("value_description", `${escapeLike(q)}%`);
+    }
+    if (withHierarchy && parent) {
+      query = parent === "root" ? query.is("parent_id", null) : query.eq("parent_id", parent);
+    }
+    return query.order("value_id", { ascending: true }).range(from, from + pageSize - 1);
+  };
+
+  let hierarchy = true;
+  let { data, error, count } = await run(true);
+  // Value-lister uten parent_id-kolonne er flate
+  if (error && String(error.code) === "42703") {
+    hierarchy = false;
+    ({ data, error, count } = await run(false));
+  }
+  if (error) throw error;
+
+  const items = (data || []).map(toValueItem);
+
+  // Marker hvilke treff som har barn, slik at front-end kan bla nedover i hierarkiet
+  if (hierarchy && items.length > 0) {
+    const { data: children, error: childErr } = await supabase
+      .schema("eccairs")
+      .from(VALUE_LIST_ITEMS_TABLE)
+      .select("parent_id")
+      .eq("value_list_key", valueListKey)
+      .in("parent_id", items.map((i) => String(i.value_id)));
+
+    if (childErr) throw childErr;
+    const parents = new Set((children || []).map((c) => String(c.parent_id)));
+    for (const item of items) item.has_children = parents.has(String(item.value_id));
+  }
+
+  return { items, total: count ?? null, limit: pageSize, offset: from, hierarchy };
+}
+
+/**
+ * Load one value-list item with its ancestors (root first)
+ * @param {Object} supabase
+ * @param {string} valueListKey
+ * @param {string|number} valueId
+ * @returns {Promise<Object|null>} { ...item, ancestors: [] } or null
+ */
+async function getValueListItem(supabase, valueListKey, valueId) {
+  let columns = `${VALUE_ITEM_COLUMNS}, parent_id`;
+  const load = async (id) => {
+    const query = () => supabase
+      .schema("eccairs")
+      .from(VALUE_LIST_ITEMS_TABLE)
+      .select(columns)
+      .eq("value_list_key", valueListKey)
+      .eq("value_id", String(id))
+      .maybeSingle();
+
+    let { data, error } = await query();
+    if (error && String(error.code) === "42703") {
+      columns = VALUE_ITEM_COLUMNS;
+      ({ data, error } = await query());
+    }
+    if (error) throw error;
+    return data ? toValueItem(data) : null;
+  };
+
+  const item = await load(valueId);
+  if (!item) return null;
+
+  const ancestors = [];
+  const seen = new Set([String(item.value_id)]);
+  let parentId = item.parent_id;
+  while (parentId != null && !seen.has(String(parentId))) {
+    seen.add(String(parentId));
+    const parent = await load(parentId);
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parent_id;
+  }
+  return { ...item, ancestors };
+}
+
+// Menneskelesbar forklaring av avvisningsårsaken
+function describeRejection(item, attributeName) {
+  const name = attributeName ? `${attributeName} (${item.attribute_code})` : `Attributt ${item.attribute_code}`;
+  if (item.invalid_values?.length > 0) {
+    return `${name}: verdien ${item.invalid_values.join(", ")} finnes ikke i ${item.value_list_key}`;
+  }
+  if (item.reason === "Unknown entity in entity_path") {
+    return `${name}: ukjent entitet i entity_path "${item.entity_path}"`;
+  }
+  if (item.taxonomy_code && /taxonomy/i.test(item.reason || "")) {
+    return `${name}: taksonomi ${item.taxonomy_code} er ikke gyldig eller ikke aktivert for integrasjonen`;
+  }
+  if (/^No value for format/.test(item.reason || "")) {
+    return `${name}: mangler verdi for formatet ${item.format || item.reason.split("=")[1]}`;
+  }
+  return `${name}: ${item.reason}`;
+}
+
+/**
+ * Build the payload explanation: used and rejected attributes with names, labels and suggestions
+ * @param {Object} supabase
+ * @param {Object} input
+ * @param {Array} input.used - [{ taxonomy_code, attribute_code, entity_path, entity_instance, format, value_ids, value }]
+ * @param {Array} input.rejected - meta.rejected entries, value-list rejections carry value_list_key/invalid_values/text
+ * @returns {Promise<Object>} { summary, used, rejected }
+ */
+async function explainPayload(supabase, { used = [], rejected = [] }) {
+  const attributeInfo = await loadAttributeInfo(supabase, [...used, ...rejected].map((i) => i.attribute_code));
+
+  const labelRequests = used.flatMap((u) => (u.value_ids || []).map((id) => ({
+    value_list_key: valueListKeyFor(u.attribute_code, attributeInfo.get(u.attribute_code)),
+    value_id: id,
+  })));
+  const labels = await loadValueLabels(supabase, labelRequests);
+
+  const usedOut = used.map((u) => {
+    const info = attributeInfo.get(u.attribute_code);
+    const vlKey = valueListKeyFor(u.attribute_code, info);
+    return {
+      taxonomy_code: u.taxonomy_code,
+      attribute_code: u.attribute_code,
+      attribute_name: info?.name || null,
+      entity_path: u.entity_path || null,
+      entity_instance: u.entity_instance || null,
+      ...(u.value_ids
+        ? { values: u.value_ids.map((id) => ({ value_id: id, ...(labels.get(`${vlKey}:${id}`) || { label: null, description: null }) })) }
+        : { value: u.value }),
+    };
+  });
+
+  const rejectedOut = [];
+  for (const r of rejected) {
+    const info = attributeInfo.get(r.attribute_code);
+    const item = { ...r, attribute_name: info?.name || null, attribute_description: info?.description || null };
+    if (r.value_list_key) {
+      item.suggestions = await suggestValues(supabase, r.value_list_key, { invalidIds: r.invalid_values || [], text: r.text });
+    }
+    item.message = describeRejection(item, info?.name);
+    delete item.text;
+    rejectedOut.push(item);
+  }
+
+  return {
+    summary: { used: usedOut.length, rejected: rejectedOut.length },
+    used: usedOut,
+    rejected: rejectedOut,
+  };
+}
+
+module.exports = {
+  explainPayload,
+  loadAttributeInfo,
+  loadValueLabels,
+  suggestValues,
+  searchValueList,
+  getValueListItem,
+};
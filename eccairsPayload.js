@@ -2,6 +2,11 @@
 // Oppdatert for korrekt JSON-struktur per API Guide v4.26
 // Støtter CREATE, EDIT og DELETE operasjoner
 
+const crypto = require("crypto");
+const { validateAttributes } = require("./eccairsRules");
+const { explainPayload } = require("./eccairsCatalog");
+const { getMappingRules } = require("./mappingConfig");
+
 function toAttributeCode(codeOrVlKey) {
   if (codeOrVlKey == null) return null;
   const s = String(codeOrVlKey).trim();
@@ -40,10 +45,72 @@ function parseValueIds(valueId) {
   return n != null ? [n] : null;
 }
 
+// Standard instans-nøkkel for entiteter uten eksplisitt entity_instance
+const DEFAULT_ENTITY_INSTANCE = "1";
+
 // Generer unik entity-ID (34 tegn)
-function generateEntityId(suffix = "1") {
-  const id = "ID" + String(suffix).padStart(32, "0");
-  return id.slice(0, 34);
+// Standard-instansen av en flat entitet beholder den gamle ID-en (ID000...<entityPath>) slik at
+// eksisterende drafts ikke får duplikater. Øvrige instanser og nestede entiteter ("4/11")
+// får en stabil hash av entityPath + instans-nøkkel.
+function generateEntityId(suffix = "1", instanceKey = null) {
+  const instance = ensureString(instanceKey) || DEFAULT_ENTITY_INSTANCE;
+  if (instance === DEFAULT_ENTITY_INSTANCE && /^\d+$/.test(String(suffix))) {
+    const id = "ID" + String(suffix).padStart(32, "0");
+    return id.slice(0, 34);
+  }
+  const hash = crypto.createHash("sha256").update(`${suffix}#${instance}`).digest("hex").toUpperCase();
+  return "ID" + hash.slice(0, 32);
+}
+
+// -------------------------
+// Entity path parsing
+// Støtter nestede stier som "4/11" eller "4.11" (Engine under Aircraft), navngitte
+// entiteter fra ENTITY_ALIASES ("aircraft/engine") og instans per segment ("4:2/engine" = under fly nr. 2)
+// -------------------------
+// Navn -> entitets-ID i ADREP-taksonomien (samme nummer som nøklene under ENTITIES i E2-payloaden).
+// Bindestrek og understrek er likeverdige: "descriptive-factor" = "descriptive_factor".
+const ENTITY_ALIASES = {
+  'occurrence': '24',
+  'aircraft': '4',
+  'engine': '11',              // under Aircraft (4)
+  'propeller': '12',           // under Aircraft (4)
+  'events': '14',
+  'descriptive_factor': '15',  // under Events (14)
+  'explanatory_factor': '16',  // under Descriptive factor (15)
+  'reporting_history': '53',
+};
+
+function parseEntityPath(entityPath) {
+  const raw = ensureString(entityPath);
+  if (!raw) return null;
+  const segments = [];
+  for (const part of raw.split(/[\/.]/)) {
+    const seg = part.trim();
+    if (!seg) continue;
+    const m = seg.match(/^([A-Za-z][A-Za-z_-]*|\d+)(?::([\w-]+))?$/);
+    if (!m) return null;
+    const id = /^\d+$/.test(m[1]) ? m[1] : ENTITY_ALIASES[m[1].toLowerCase().replace(/-/g, '_')];
+    if (!id) return null;
+    segments.push({ id, instance: m[2] || null });
+  }
+  return segments.length > 0 ? segments : null;
+}
+
+// Normalisert nøkkel for en entitetssti: foreldre-instanser tas med, standard-instans utelates
+function entityPathKey(segments) {
+  return segments
+    .map((seg) => (seg.instance && seg.instance !== DEFAULT_ENTITY_INSTANCE ? `${seg.id}:${seg.instance}` : seg.id))
+    .join("/");
+}
+
+// Løs opp entity_path + entity_instance til { path, instance } for entityAttrs
+function resolveEntityLocation(entityPath, entityInstance) {
+  const segments = parseEntityPath(entityPath);
+  if (!segments) return null;
+  const leaf = segments[segments.length - 1];
+  const instance = ensureString(entityInstance) || leaf.instance || DEFAULT_ENTITY_INSTANCE;
+  const parents = segments.slice(0, -1);
+  return { path: entityPathKey([...parents, { id: leaf.id, instance: null }]), instance };
 }
 
 // Bestem rapport-type fra e2Id prefix
@@ -124,11 +191,20 @@ async function loadIntegrationSettings(supabase, company_id) {
 }
 
 async function loadIncidentAttributesGeneric(supabase, incident_id) {
-  const { data, error } = await supabase
+  const columns = "attribute_code, value_id, taxonomy_code, format, payload_json, text_value, entity_path";
+  let { data, error } = await supabase
     .from("incident_eccairs_attributes")
-    .select("attribute_code, value_id, taxonomy_code, format, payload_json, text_value, entity_path")
+    .select(`${columns}, entity_instance`)
     .eq("incident_id", incident_id);
 
+  // 42703 = undefined column: prosjekter uten entity_instance-kolonnen ennå
+  if (error && String(error.code) === "42703") {
+    ({ data, error } = await supabase
+      .from("incident_eccairs_attributes")
+      .select(columns)
+      .eq("incident_id", incident_id));
+  }
+
   if (error) {
     if (String(error.code) === "42P01") return null;
     throw error;
@@ -189,10 +265,55 @@ const MAX_LENGTH = {
   '244': 11, // Aircraft serial number - E2 allows max 11 chars
 };
 
+// -------------------------
+// Standardverdier for mapping-konfigurasjonen - eccairs_mapping_config legges oppå (se mappingConfig.js)
+// -------------------------
+const DEFAULT_MAPPING_RULES = {
+  entityPathOverrides: ENTITY_PATH_OVERRIDES,
+  formatOverrides: FORMAT_OVERRIDES,
+  maxLength: MAX_LENGTH,
+  skipAttributes: SKIP_ATTRIBUTES,
+  forceTopLevel: FORCE_TOP_LEVEL,
+};
+
+/**
+ * Effective mapping rules for a company (defaults + eccairs_mapping_config)
+ * @param {Object} supabase - service-role Supabase client
+ * @param {string|null} company_id
+ * @returns {Promise<Object>} rules
+ */
+function loadMappingRules(supabase, company_id) {
+  return getMappingRules(supabase, company_id || null, DEFAULT_MAPPING_RULES);
+}
+
+/**
+ * Gateway mapping rules for one attribute (used by the attribute catalog endpoint)
+ * @param {string|number} codeOrVlKey - attribute code or VL key
+ * @param {Object} [rules] - effective rules from loadMappingRules (defaults if omitted)
+ * @returns {Object} { attribute_code, format, format_source, default_entity_path, max_length, skipped, force_top_level }
+ */
+function getAttributeRules(codeOrVlKey, rules = DEFAULT_MAPPING_RULES) {
+  const code = toAttributeCode(codeOrVlKey);
+  return {
+    attribute_code: code,
+    format: rules.formatOverrides[code] || "value_list_int_array",
+    // "override" = gateway tvinger formatet, "default" = formatet fra incident_eccairs_attributes brukes hvis satt
+    format_source: rules.formatOverrides[code] ? "override" : "default",
+    default_entity_path: rules.forceTopLevel.has(code) ? null : (rules.entityPathOverrides[code] || null),
+    max_length: rules.maxLength[code] ?? null,
+    skipped: rules.skipAttributes.has(code),
+    force_top_level: rules.forceTopLevel.has(code),
+  };
+}
+
 // -------------------------
 // Build selections fra incident_eccairs_attributes
 // -------------------------
-async function buildSelections({ supabase, incident_id, company_id }) {
+// Påkrevde attributter legacy-tabellen ikke har kolonner for (433 Local Date, 390 Event Type).
+// Håndheves ikke lokalt for legacy-incidenter - ellers ville hver innsending feilet med 422; E2 validerer selv.
+const LEGACY_UNMAPPED_REQUIRED = ['433', '390'];
+
+async function buildSelections({ supabase, incident_id, company_id, rules = DEFAULT_MAPPING_RULES }) {
   const generic = await loadIncidentAttributesGeneric(supabase, incident_id);
 
   if (generic && generic.length > 0) {
@@ -200,24 +321,24 @@ async function buildSelections({ supabase, incident_id, company_id }) {
     for (const r of generic) {
       const code = toAttributeCode(r.attribute_code);
       if (!code) continue;
-      if (SKIP_ATTRIBUTES.has(code)) continue;
+      if (rules.skipAttributes.has(code)) continue;
       
       // Force certain attributes to top-level, ignoring any stored entity_path
       let entityPath;
-      if (FORCE_TOP_LEVEL.has(code)) {
+      if (rules.forceTopLevel.has(code)) {
         entityPath = null;
       } else {
-        entityPath = r.entity_path || ENTITY_PATH_OVERRIDES[code] || null;
+        entityPath = r.entity_path || rules.entityPathOverrides[code] || null;
       }
       
       
       // Apply format overrides for attributes where DB may have wrong format
-      const format = FORMAT_OVERRIDES[code] || ensureString(r.format) || "value_list_int_array";
+      const format = rules.formatOverrides[code] || ensureString(r.format) || "value_list_int_array";
       
       // Apply max length truncation for string values
       let textValue = ensureString(r.text_value);
-      if (textValue && MAX_LENGTH[code]) {
-        textValue = textValue.slice(0, MAX_LENGTH[code]);
+      if (textValue && rules.maxLength[code]) {
+        textValue = textValue.slice(0, rules.maxLength[code]);
       }
       
       selections.push({
@@ -228,12 +349,13 @@ async function buildSelections({ supabase, incident_id, company_id }) {
         text: textValue,
         raw: r.payload_json || null,
         entity_path: entityPath,
+        entity_instance: entityPath ? ensureString(r.entity_instance) : null,
       });
     }
     return { source: "incident_eccairs_attributes", selections };
   }
 
-  // Fallback til legacy incident_eccairs_mappings
+  // Fallback til legacy incident_eccairs_mappings (se LEGACY_UNMAPPED_REQUIRED)
   const wide = await loadIncidentMappingsWide(supabase, incident_id);
   if (!wide) return { source: "none", selections: [] };
 
@@ -399,23 +521,176 @@ function buildDeleteRequest({ e2Id, environment }) {
   };
 }
 
+// -------------------------
+// Entity ID map - lagres per eksport (eccairs_exports.entity_ids) slik at edit gjenbruker
+// samme ID-er som ble sendt ved create. Nøkkel: "<entityPathKey>#<instanceKey>", med
+// "<taxonomy>|" foran for andre taksonomier enn 24
+// -------------------------
+const DEFAULT_TAXONOMY = "24";
+
+function entityIdKey(pathKey, instanceKey) {
+  return `${pathKey}#${instanceKey || DEFAULT_ENTITY_INSTANCE}`;
+}
+
+function createEntityIdResolver(knownIds = {}, taxonomy = DEFAULT_TAXONOMY) {
+  const used = {};
+  // Inkluder taksonomien i hashen slik at like stier i ulike taksonomier får ulike ID-er
+  const idSuffix = (pathKey) => (taxonomy === DEFAULT_TAXONOMY ? pathKey : `${taxonomy}|${pathKey}`);
+  return {
+    resolve(pathKey, instanceKey) {
+      const key = entityIdKey(pathKey, instanceKey);
+      const ID = knownIds[key] || generateEntityId(idSuffix(pathKey), instanceKey);
+      used[key] = ID;
+      return ID;
+    },
+    used,
+  };
+}
+
+// Del lagret ID-map opp per taksonomi: { "24": { key: ID }, "<tax>": { key: ID } }
+function splitEntityIdMap(entityIdMap) {
+  const byTaxonomy = {};
+  for (const [key, ID] of Object.entries(entityIdMap || {})) {
+    const m = key.match(/^(\d+)\|(.+)$/);
+    const taxonomy = m ? m[1] : DEFAULT_TAXONOMY;
+    if (!byTaxonomy[taxonomy]) byTaxonomy[taxonomy] = {};
+    byTaxonomy[taxonomy][m ? m[2] : key] = ID;
+  }
+  return byTaxonomy;
+}
+
+function mergeEntityIdMaps(byTaxonomy) {
+  const merged = {};
+  for (const [taxonomy, ids] of Object.entries(byTaxonomy)) {
+    for (const [key, ID] of Object.entries(ids)) {
+      merged[taxonomy === DEFAULT_TAXONOMY ? key : `${taxonomy}|${key}`] = ID;
+    }
+  }
+  return merged;
+}
+
+// Rot-ID for taksonomi-blokken ved create. 24 beholder den faste ID-en E2 alltid har fått.
+function taxonomyRootId(taxonomy) {
+  if (taxonomy === DEFAULT_TAXONOMY) return "ID00000000000000000000000000000001";
+  return generateEntityId(`${taxonomy}|ROOT`);
+}
+
+// -------------------------
+// Build ENTITIES block - ett array-element per instans, nestede ENTITIES for stier som "4/11"
+// entityAttrs: { [entityPathKey]: { [instanceKey]: { [code]: value } } }
+// removals: [{ path, instance, ID }] - entiteter brukeren har slettet (kun edit)
+// -------------------------
+function findOrCreateEntity(container, entityId, ID) {
+  if (!container[entityId]) container[entityId] = [];
+  let item = container[entityId].find((e) => e.ID === ID);
+  if (!item) {
+    item = { ID, ATTRIBUTES: {} };
+    container[entityId].push(item);
+  }
+  return item;
+}
+
+// Gå ned gjennom foreldre-entitetene og opprett ENTITIES-blokker underveis
+function resolveEntityContainer(entities, segments, ids) {
+  let container = entities;
+  for (let i = 0; i < segments.length - 1; i++) {
+    const parentKey = entityPathKey([...segments.slice(0, i), { id: segments[i].id, instance: null }]);
+    const parent = findOrCreateEntity(container, segments[i].id, ids.resolve(parentKey, segments[i].instance));
+    if (!parent.ENTITIES) parent.ENTITIES = {};
+    container = parent.ENTITIES;
+  }
+  return container;
+}
+
+function buildEntitiesBlock(entityAttrs, ids = createEntityIdResolver(), removals = []) {
+  const entities = {};
+  // Sorter slik at foreldre ("4") bygges før barn ("4/11") og rekkefølgen blir stabil
+  const paths = Object.keys(entityAttrs).sort((a, b) => a.split("/").length - b.split("/").length);
+
+  for (const pathKey of paths) {
+    const segments = parseEntityPath(pathKey);
+    if (!segments) continue;
+
+    const container = resolveEntityContainer(entities, segments, ids);
+    const leafId = segments[segments.length - 1].id;
+    for (const [instanceKey, attrs] of Object.entries(entityAttrs[pathKey])) {
+      if (Object.keys(attrs).length === 0) continue;
+      const item = findOrCreateEntity(container, leafId, ids.resolve(pathKey, instanceKey));
+      Object.assign(item.ATTRIBUTES, attrs);
+    }
+  }
+
+  // Eksplisitt fjerning av entiteter som fantes i forrige versjon
+  for (const removal of removals) {
+    const segments = parseEntityPath(removal.path);
+    if (!segments) continue;
+    const container = resolveEntityContainer(entities, segments, ids);
+    const leafId = segments[segments.length - 1].id;
+    if (!container[leafId]) container[leafId] = [];
+    container[leafId].push({ ID: removal.ID, DELETE: true });
+  }
+
+  return Object.keys(entities).length > 0 ? entities : null;
+}
+
+// Finn entiteter i lagret ID-map som ikke lenger finnes. Barn av en fjernet forelder
+// hoppes over - de forsvinner sammen med forelderen.
+function findRemovedEntities(knownIds, usedIds) {
+  const removedKeys = Object.keys(knownIds || {}).filter((key) => !usedIds[key]);
+  const removedPrefixes = removedKeys.map((key) => {
+    const [path, instance] = key.split("#");
+    const segments = parseEntityPath(path);
+    if (!segments) return null;
+    segments[segments.length - 1].instance = instance;
+    return entityPathKey(segments);
+  });
+
+  const removals = [];
+  removedKeys.forEach((key, i) => {
+    const [path, instance] = key.split("#");
+    const underRemovedParent = removedPrefixes.some((prefix, j) => j !== i && prefix && path.startsWith(`${prefix}/`));
+    if (underRemovedParent) return;
+    removals.push({ path, instance, ID: knownIds[key] });
+  });
+  return removals;
+}
+
 // -------------------------
 // Main payload builder
 // -------------------------
-async function buildE2Payload({ supabase, incident, exportRow, integration, environment, mode, versionType }) {
+async function buildE2Payload({ supabase, incident, exportRow, integration, environment, mode, versionType, explain = true }) {
+  const company_id = integration?.company_id || incident.company_id;
+  const mappingRules = await loadMappingRules(supabase, company_id);
   const { selections, source } = await buildSelections({
     supabase,
     incident_id: incident.id,
-    company_id: integration?.company_id || incident.company_id
+    company_id,
+    rules: mappingRules,
   });
 
   const rejected = [];
-  const topLevelAttrs = {};
-  const entityAttrs = {};
-
-  const filtered = selections.filter((s) =>
-    (ensureString(s.taxonomy_code) || "24") === "24"
-  );
+  const used = []; // for forklaringen: hvilke seleksjoner som faktisk gikk inn i payloaden
+  const rejectionText = new Map(); // avvist value-list seleksjon -> fritekst (brukes til forslag)
+  const byTaxonomy = {}; // taxonomy -> { topLevelAttrs, entityAttrs }
+
+  // Valgfri allow-list per integrasjon (eccairs_integrations.taxonomy_codes), ellers alle numeriske
+  const allowedTaxonomies = Array.isArray(integration?.taxonomy_codes) && integration.taxonomy_codes.length > 0
+    ? new Set(integration.taxonomy_codes.map(String))
+    : null;
+
+  const filtered = [];
+  for (const s of selections) {
+    const taxonomy = ensureString(s.taxonomy_code) || DEFAULT_TAXONOMY;
+    if (!/^\d+$/.test(taxonomy)) {
+      rejected.push({ attribute_code: s.code, taxonomy_code: taxonomy, reason: "Invalid taxonomy_code" });
+      continue;
+    }
+    if (allowedTaxonomies && !allowedTaxonomies.has(taxonomy)) {
+      rejected.push({ attribute_code: s.code, taxonomy_code: taxonomy, reason: `Taxonomy ${taxonomy} not enabled for integration` });
+      continue;
+    }
+    filtered.push({ ...s, taxonomy_code: taxonomy });
+  }
 
   // Valider value-list seleksjoner (including code_and_additional_text which also uses VL codes)
   const valueListCandidates = filtered
@@ -431,11 +706,17 @@ async function buildE2Payload({ supabase, incident, exportRow, integration, envi
       const ids = parseValueIds(sel.valueId);
       const allValid = ids && ids.every(id => validSet.has(`VL${sel.code}:${id}`));
       if (!allValid) {
-        rejected.push({
+        const rejection = {
           attribute_code: sel.code,
           value_id: sel.valueId,
+          value_list_key: `VL${sel.code}`,
+          invalid_values: ids ? ids.filter(id => !validSet.has(`VL${sel.code}:${id}`)) : [sel.valueId],
+          entity_path: sel.entity_path || null,
+          entity_instance: sel.entity_instance || null,
           reason: "Not found in eccairs.value_list_items"
-        });
+        };
+        rejected.push(rejection);
+        if (sel.text) rejectionText.set(rejection, sel.text);
         continue;
       }
     }
@@ -444,107 +725,167 @@ async function buildE2Payload({ supabase, incident, exportRow, integration, envi
     if (v == null) {
       rejected.push({
         attribute_code: sel.code,
+        format: sel.format,
         reason: `No value for format=${sel.format}`
       });
       continue;
     }
 
+    if (!byTaxonomy[sel.taxonomy_code]) byTaxonomy[sel.taxonomy_code] = { topLevelAttrs: {}, entityAttrs: {} };
+    const { topLevelAttrs, entityAttrs } = byTaxonomy[sel.taxonomy_code];
+
+    const loc = sel.entity_path ? resolveEntityLocation(sel.entity_path, sel.entity_instance) : null;
     if (sel.entity_path) {
-      if (!entityAttrs[sel.entity_path]) entityAttrs[sel.entity_path] = {};
-      entityAttrs[sel.entity_path][sel.code] = v;
+      if (!loc) {
+        rejected.push({
+          attribute_code: sel.code,
+          entity_path: sel.entity_path,
+          reason: "Unknown entity in entity_path"
+        });
+        continue;
+      }
+      if (!entityAttrs[loc.path]) entityAttrs[loc.path] = {};
+      if (!entityAttrs[loc.path][loc.instance]) entityAttrs[loc.path][loc.instance] = {};
+      entityAttrs[loc.path][loc.instance][sel.code] = v;
     } else {
       topLevelAttrs[sel.code] = v;
     }
+
+    used.push({
+      taxonomy_code: sel.taxonomy_code,
+      attribute_code: sel.code,
+      entity_path: loc?.path || null,
+      entity_instance: loc?.instance || null,
+      format: sel.format,
+      value_ids: ["value_list_int_array", "code_and_additional_text", "content_object_array"].includes(sel.format)
+        ? parseValueIds(sel.valueId)
+        : null,
+      value: v,
+    });
   }
 
   // Mode-basert payload-bygging
   let payload;
   const effectiveMode = mode || 'create';
+  const isEdit = effectiveMode === 'edit' || effectiveMode === 'update';
 
-  if (effectiveMode === 'edit' || effectiveMode === 'update') {
-    // ========================
-    // EDIT MODE - Oppdater eksisterende draft
-    // ========================
-    if (!exportRow?.e2_id) {
-      throw new Error('e2_id is required for edit mode');
-    }
+  if (isEdit && !exportRow?.e2_id) {
+    throw new Error('e2_id is required for edit mode');
+  }
 
-    // Bygg taxonomyCodes UTEN top-level ID
-    const editTaxBlock = {
-      "24": {
-        ATTRIBUTES: topLevelAttrs,
-      }
-    };
+  // Gjenbruk entity-ID-er fra forrige create/edit (kun edit - en ny rapport starter med blanke ark)
+  const knownEntityIds = isEdit ? splitEntityIdMap(exportRow?.entity_ids) : {};
+  // Taksonomi 24 er alltid med; øvrige kun hvis de har seleksjoner eller lagrede entiteter
+  const taxonomies = Array.from(new Set([DEFAULT_TAXONOMY, ...Object.keys(byTaxonomy), ...Object.keys(knownEntityIds)]));
+
+  const taxonomyCodes = {};
+  const usedEntityIds = {};
+  const removedEntities = [];
+
+  for (const taxonomy of taxonomies) {
+    const { topLevelAttrs, entityAttrs } = byTaxonomy[taxonomy] || { topLevelAttrs: {}, entityAttrs: {} };
+    const known = knownEntityIds[taxonomy] || {};
+    const entityIds = createEntityIdResolver(known, taxonomy);
+
+    // EDIT: bygg taxonomyCodes UTEN top-level ID. CREATE: med rot-ID per taksonomi.
+    const taxBlock = isEdit
+      ? { ATTRIBUTES: topLevelAttrs }
+      : { ID: taxonomyRootId(taxonomy), ATTRIBUTES: topLevelAttrs };
+
+    let removals = [];
+    if (isEdit) {
+      // Første pass registrerer hvilke ID-er som fortsatt er i bruk, deretter bygges
+      // blokken på nytt med eksplisitt fjerning av entiteter brukeren har slettet
+      buildEntitiesBlock(entityAttrs, entityIds);
+      removals = findRemovedEntities(known, entityIds.used);
+    }
 
     // Legg til ENTITIES kun hvis det er noen
-    if (Object.keys(entityAttrs).length > 0) {
-      editTaxBlock["24"].ENTITIES = {};
-      for (const [entityPath, attrs] of Object.entries(entityAttrs)) {
-        if (Object.keys(attrs).length > 0) {
-          editTaxBlock["24"].ENTITIES[entityPath] = [{
-            ID: generateEntityId(entityPath),
-            ATTRIBUTES: attrs
-          }];
-        }
-      }
-    }
+    const entities = buildEntitiesBlock(entityAttrs, entityIds, removals);
+    if (entities) taxBlock.ENTITIES = entities;
+
+    usedEntityIds[taxonomy] = entityIds.used;
+    removedEntities.push(...removals.map((r) => ({ taxonomy_code: taxonomy, ...r })));
 
+    // Tomme blokker for andre taksonomier sendes ikke
+    if (taxonomy !== DEFAULT_TAXONOMY && Object.keys(topLevelAttrs).length === 0 && !entities) continue;
+    taxonomyCodes[taxonomy] = taxBlock;
+  }
+
+  if (isEdit) {
+    // ========================
+    // EDIT MODE - Oppdater eksisterende draft
+    // ========================
     payload = {
       e2Id: exportRow.e2_id,
       versionType: versionType || "DRAFT", // DRAFT, MINOR, eller MAJOR
-      taxonomyCodes: editTaxBlock,
+      taxonomyCodes,
     };
-
   } else {
     // ========================
     // CREATE MODE - Ny rapport
     // ========================
-    const createTaxBlock = {
-      "24": {
-        ID: "ID00000000000000000000000000000001",
-        ATTRIBUTES: topLevelAttrs,
-      }
-    };
-
-    // Legg til ENTITIES kun hvis det er noen
-    if (Object.keys(entityAttrs).length > 0) {
-      createTaxBlock["24"].ENTITIES = {};
-      for (const [entityPath, attrs] of Object.entries(entityAttrs)) {
-        if (Object.keys(attrs).length > 0) {
-          createTaxBlock["24"].ENTITIES[entityPath] = [{
-            ID: generateEntityId(entityPath),
-            ATTRIBUTES: attrs
-          }];
-        }
-      }
-    }
-
     payload = {
       type: "REPORT",
       status: "DRAFT",
-      taxonomyCodes: createTaxBlock,
+      taxonomyCodes,
     };
   }
 
+  const main = byTaxonomy[DEFAULT_TAXONOMY] || { topLevelAttrs: {}, entityAttrs: {} };
+
+  // Lokal pre-flight validering (påkrevde attributter, kardinalitet, format) - gjelder taksonomi 24
+  const validation = validateAttributes(
+    { topLevelAttributes: main.topLevelAttrs, entityAttributes: main.entityAttrs },
+    getReportType(exportRow?.e2_id),
+    { skipRequired: source === "incident_eccairs_mappings" ? LEGACY_UNMAPPED_REQUIRED : [] }
+  );
+
+  const countAttributes = ({ topLevelAttrs, entityAttrs }) =>
+    Object.keys(topLevelAttrs).length +
+    Object.values(entityAttrs).reduce((sum, instances) =>
+      sum + Object.values(instances).reduce((s, a) => s + Object.keys(a).length, 0), 0);
+
   const meta = {
     mode: effectiveMode,
     versionType: effectiveMode === 'edit' ? (versionType || 'DRAFT') : null,
     source,
+    mappingConfig: mappingRules.source || null,
     environment: environment || null,
     incident_id: incident?.id || null,
-    usedCount: Object.keys(topLevelAttrs).length +
-      Object.values(entityAttrs).reduce((sum, a) => sum + Object.keys(a).length, 0),
+    usedCount: Object.values(byTaxonomy).reduce((sum, t) => sum + countAttributes(t), 0),
     selectionsCount: selections.length,
     rejected,
-    topLevelAttributes: topLevelAttrs,
-    entityAttributes: entityAttrs,
+    validation,
+    topLevelAttributes: main.topLevelAttrs,
+    entityAttributes: main.entityAttrs,
+    taxonomies: Object.fromEntries(Object.entries(byTaxonomy).map(([taxonomy, t]) => [
+      taxonomy,
+      { topLevelAttributes: t.topLevelAttrs, entityAttributes: t.entityAttrs },
+    ])),
+    entityIds: mergeEntityIdMaps(usedEntityIds),
+    removedEntities,
     export_id: exportRow?.id || null,
     company_id: integration?.company_id || null,
     e2Id: exportRow?.e2_id || null,
     e2Version: exportRow?.e2_version || null,
   };
 
-  return { payload, meta };
+  // Forklaring med attributtnavn, labels og forslag - skal aldri stoppe selve payload-byggingen
+  let explanation = null;
+  if (explain) {
+    try {
+      explanation = await explainPayload(supabase, {
+        used,
+        rejected: rejected.map((r) => ({ ...r, text: rejectionText.get(r) || null })),
+      });
+    } catch (err) {
+      console.error("Kunne ikke bygge payload-forklaring:", err);
+      explanation = { error: String(err.message || err) };
+    }
+  }
+
+  return { payload, meta, explanation };
 }
 
 module.exports = {
@@ -556,4 +897,7 @@ module.exports = {
   selectionToE2Value,
   generateEntityId,
   getReportType,
+  getAttributeRules,
+  loadMappingRules,
+  validateValueListSelections,
 };
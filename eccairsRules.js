@@ -0,0 +1,133 @@
+// eccairsRules.js
+// Lokal pre-flight validering av ECCAIRS-attributter før kall mot E2
+// Sjekker påkrevde attributter, kardinalitet og format per rapport-type (OR, VR, OC)
+
+// -------------------------
+// Påkrevde attributter per rapport-type
+// entity: null = top-level (Entity 24), ellers entitetsnummer attributtet må ligge under
+// -------------------------
+const REQUIRED_ATTRIBUTES = {
+  OR: [
+    { code: '431', entity: null, label: 'Occurrence Class' },
+    { code: '433', entity: null, label: 'Local Date' },
+    { code: '453', entity: null, label: 'Responsible Entity' },
+    { code: '390', entity: '14', label: 'Event Type' },
+  ],
+  VR: [
+    { code: '433', entity: null, label: 'Local Date' },
+    { code: '453', entity: null, label: 'Responsible Entity' },
+  ],
+  OC: [
+    { code: '431', entity: null, label: 'Occurrence Class' },
+    { code: '433', entity: null, label: 'Local Date' },
+    { code: '453', entity: null, label: 'Responsible Entity' },
+    { code: '390', entity: '14', label: 'Event Type' },
+  ],
+};
+
+// -------------------------
+// Kardinalitet og format per attributt (gjelder alle rapport-typer)
+// maxItems: maks antall verdier i E2-arrayen
+// pattern: regex hver verdi må matche (for dato/tid/tekst)
+// -------------------------
+const ATTRIBUTE_RULES = {
+  '431': { maxItems: 1, type: 'integer' },                                 // Occurrence Class
+  '433': { maxItems: 1, pattern: /^\d{4}-\d{2}-\d{2}$/, hint: 'YYYY-MM-DD' }, // Local Date
+  '453': { maxItems: 1, type: 'integer' },                                 // Responsible Entity
+  '457': { maxItems: 1, pattern: /^\d{2}:\d{2}:\d{2}$/, hint: 'HH:MM:SS' },   // Local Time
+  '477': { maxItems: 1, pattern: /^\d{4}-\d{2}-\d{2}$/, hint: 'YYYY-MM-DD' }, // UTC Date
+  '32': { maxItems: 1, type: 'integer' },                                  // Aircraft Category
+  '440': { maxItems: 1, type: 'string' },                                  // Location Name
+  '601': { maxItems: 1, type: 'string' },                                  // Headline
+};
+
+function collectAttributeLocations({ topLevelAttributes, entityAttributes }) {
+  const found = [];
+  for (const [code, value] of Object.entries(topLevelAttributes || {})) {
+    found.push({ code, entity_path: null, entity_instance: null, value });
+  }
+  for (const [entityPath, instances] of Object.entries(entityAttributes || {})) {
+    for (const [instanceKey, attrs] of Object.entries(instances || {})) {
+      for (const [code, value] of Object.entries(attrs || {})) {
+        found.push({ code, entity_path: entityPath, entity_instance: instanceKey, value });
+      }
+    }
+  }
+  return found;
+}
+
+function checkValue(rule, item) {
+  if (rule.type === 'integer') {
+    return typeof item === 'number' && Number.isInteger(item);
+  }
+  if (rule.type === 'string' || rule.pattern) {
+    if (typeof item !== 'string') return false;
+    return rule.pattern ? rule.pattern.test(item) : true;
+  }
+  return true;
+}
+
+/**
+ * Validate built E2 attributes against the local rule set
+ * @param {Object} attrs - { topLevelAttributes, entityAttributes } as produced by buildE2Payload
+ * @param {string} reportType - OR, VR or OC (see getReportType)
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.skipRequired] - required codes the selection source cannot provide
+ * @returns {{ ok: boolean, reportType: string, errors: Array }}
+ */
+function validateAttributes(attrs, reportType = 'OR', { skipRequired = [] } = {}) {
+  const type = REQUIRED_ATTRIBUTES[reportType] ? reportType : 'OR';
+  const errors = [];
+  const found = collectAttributeLocations(attrs);
+  const skip = new Set(skipRequired);
+
+  // 1. Påkrevde attributter
+  for (const req of REQUIRED_ATTRIBUTES[type]) {
+    if (skip.has(req.code)) continue;
+    const present = found.some((f) => f.code === req.code && (req.entity == null || f.entity_path === req.entity));
+    if (!present) {
+      errors.push({
+        attribute_code: req.code,
+        entity_path: req.entity,
+        rule: 'required',
+        message: `${req.label} (${req.code}) er påkrevd for ${type}`,
+      });
+    }
+  }
+
+  // 2. Kardinalitet og format
+  for (const f of found) {
+    const rule = ATTRIBUTE_RULES[f.code];
+    if (!rule || !Array.isArray(f.value)) continue;
+
+    if (rule.maxItems != null && f.value.length > rule.maxItems) {
+      errors.push({
+        attribute_code: f.code,
+        entity_path: f.entity_path,
+        entity_instance: f.entity_instance,
+        rule: 'cardinality',
+        message: `Attributt ${f.code} tillater maks ${rule.maxItems} verdi(er), fikk ${f.value.length}`,
+      });
+    }
+
+    const invalid = f.value.filter((item) => !checkValue(rule, item));
+    if (invalid.length > 0) {
+      errors.push({
+        attribute_code: f.code,
+        entity_path: f.entity_path,
+        entity_instance: f.entity_instance,
+        rule: 'format',
+        message: `Ugyldig format for attributt ${f.code}${rule.hint ? ` (forventet ${rule.hint})` : ''}`,
+        values: invalid,
+      });
+    }
+  }
+
+  return { ok: errors.length === 0, reportType: type, errors };
+}
+
+module.exports = {
+  validateAttributes,
+  REQUIRED_ATTRIBUTES,
+  ATTRIBUTE_RULES,
+};
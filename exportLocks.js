@@ -0,0 +1,148 @@
+// exportLocks.js
+// Lås per incident + miljø rundt create/edit/submit/followup/delete (tabell: eccairs_export_locks)
+// Låsen ligger i databasen så den gjelder på tvers av Fly-maskiner og retry-køen.
+// Låser utløper etter LOCK_TTL_MS, så en krasjet prosess ikke blokkerer incidenten for alltid.
+// Mens operasjonen kjører fornyes låsen (heartbeat), så lange E2-kall med retries ikke mister den.
+
+const crypto = require("crypto");
+
+const LOCKS_TABLE = "eccairs_export_locks";
+const LOCK_TTL_MS = Number(process.env.ECCAIRS_LOCK_TTL_MS) || 2 * 60_000;
+// Hvor lenge en request venter på låsen før den gir 409 (0 = feil med en gang)
+const LOCK_WAIT_MS = process.env.ECCAIRS_LOCK_WAIT_MS != null ? Number(process.env.ECCAIRS_LOCK_WAIT_MS) : 5_000;
+const LOCK_POLL_MS = 250;
+const LOCK_RENEW_MS = Math.max(1_000, Math.floor(LOCK_TTL_MS / 3));
+
+// Reserve i minnet når tabellen ikke finnes i prosjektet ennå (gjelder kun denne prosessen)
+const localLocks = new Map();
+let warnedMissingTable = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function lockKey(incident_id, environment) {
+  return `${incident_id}:${environment}`;
+}
+
+function tryLocalLock(lock) {
+  const held = localLocks.get(lock.lock_key);
+  if (held && Date.parse(held.expires_at) > Date.now()) return { ok: false, holder: held };
+  localLocks.set(lock.lock_key, lock);
+  return { ok: true, local: true };
+}
+
+async function tryAcquire(admin, lock) {
+  const { error } = await admin.from(LOCKS_TABLE).insert(lock);
+  if (!error) return { ok: true };
+
+  if (String(error.code) === "42P01") {
+    if (!warnedMissingTable) {
+      console.warn(`[locks] Tabellen ${LOCKS_TABLE} finnes ikke - bruker lås i minnet (kun denne prosessen)`);
+      warnedMissingTable = true;
+    }
+    return tryLocalLock(lock);
+  }
+  // 23505 = låsen holdes allerede
+  if (String(error.code) !== "23505") throw error;
+
+  const { data: held, error: readErr } = await admin
+    .from(LOCKS_TABLE)
+    .select("*")
+    .eq("lock_key", lock.lock_key)
+    .maybeSingle();
+  if (readErr) throw readErr;
+  if (!held) return tryAcquire(admin, lock); // frigitt mellom insert og select
+
+  if (Date.parse(held.expires_at) <= Date.now()) {
+    // Utløpt - fjern kun hvis det fortsatt er samme eier, så to ventende ikke begge tar over
+    await admin.from(LOCKS_TABLE).delete().eq("lock_key", lock.lock_key).eq("owner", held.owner);
+    return tryAcquire(admin, lock);
+  }
+  return { ok: false, holder: held };
+}
+
+// Skyv expires_at fram så lenge vi fortsatt eier låsen
+async function renew(admin, lock, local) {
+  const expires_at = new Date(Date.now() + LOCK_TTL_MS).toISOString();
+  if (local) {
+    const held = localLocks.get(lock.lock_key);
+    if (held?.owner === lock.owner) held.expires_at = expires_at;
+    return;
+  }
+  const { data, error } = await admin
+    .from(LOCKS_TABLE)
+    .update({ expires_at })
+    .eq("lock_key", lock.lock_key)
+    .eq("owner", lock.owner)
+    .select("lock_key");
+  if (error) console.error(`[locks] Kunne ikke fornye lås ${lock.lock_key}:`, error);
+  else if (!data || data.length === 0) console.warn(`[locks] Lås ${lock.lock_key} (${lock.operation}) er ikke lenger vår - fornyes ikke`);
+}
+
+async function release(admin, lock, local) {
+  if (local) {
+    if (localLocks.get(lock.lock_key)?.owner === lock.owner) localLocks.delete(lock.lock_key);
+    return;
+  }
+  const { error } = await admin.from(LOCKS_TABLE).delete().eq("lock_key", lock.lock_key).eq("owner", lock.owner);
+  if (error) console.error(`[locks] Kunne ikke frigi lås ${lock.lock_key}:`, error);
+}
+
+/**
+ * Run fn while holding the incident/environment lock. Waits up to waitMs for a held lock,
+ * then gives up with a 409 result marked `locked` (same shape as the perform functions).
+ * @param {Object} admin - service-role Supabase client
+ * @param {Object} opts - { incident_id, environment, operation, actor, waitMs }
+ * @param {Function} fn - async () => perform result
+ * @returns {Promise<Object>} fn's result, or { ok: false, status: 409, locked: true, body }
+ */
+async function withExportLock(admin, { incident_id, environment, operation, actor = null, waitMs = LOCK_WAIT_MS }, fn) {
+  const now = Date.now();
+  const lock = {
+    lock_key: lockKey(incident_id, environment),
+    incident_id,
+    environment,
+    operation,
+    actor: actor || "system",
+    owner: crypto.randomUUID(),
+    acquired_at: new Date(now).toISOString(),
+    expires_at: new Date(now + LOCK_TTL_MS).toISOString(),
+  };
+
+  const deadline = now + Math.max(0, waitMs);
+  let acquired = await tryAcquire(admin, lock);
+  while (!acquired.ok && Date.now() < deadline) {
+    await sleep(LOCK_POLL_MS);
+    acquired = await tryAcquire(admin, lock);
+  }
+
+  if (!acquired.ok) {
+    const holder = acquired.holder || {};
+    return {
+      ok: false,
+      status: 409,
+      // Ikke retryable her - en opptatt lås skal ikke legges i retry-køen fra en request.
+      // Retry-køen ser på `locked` og prøver jobben igjen senere.
+      retryable: false,
+      locked: true,
+      body: {
+        ok: false,
+        error: `Incidenten er låst av en annen operasjon (${holder.operation || "ukjent"}) - prøv igjen`,
+        lock: { operation: holder.operation || null, actor: holder.actor || null, acquired_at: holder.acquired_at || null, expires_at: holder.expires_at || null },
+      },
+    };
+  }
+
+  const heartbeat = setInterval(() => {
+    renew(admin, lock, acquired.local).catch((err) => console.error(`[locks] Fornying av ${lock.lock_key} feilet:`, err));
+  }, LOCK_RENEW_MS);
+  heartbeat.unref();
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    await release(admin, lock, acquired.local);
+  }
+}
+
+module.exports = { withExportLock, LOCK_TTL_MS, LOCK_WAIT_MS };
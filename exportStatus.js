@@ -0,0 +1,196 @@
+// exportStatus.js
+// Tilstandsmaskin for eccairs_exports.status - alle statusendringer går via transitionExport
+// Hver overgang logges med aktør og årsak (tabell: eccairs_export_transitions)
+
+const EXPORTS_TABLE = "eccairs_exports";
+const TRANSITIONS_TABLE = "eccairs_export_transitions";
+
+// "new" = ingen rad ennå, "deleted" = raden slettes (draft fjernet i E2). Begge finnes kun i loggen.
+// pending markerer et pågående E2-kall; pending -> pending avvises så to kall ikke kjører samtidig.
+// Overganger til draft_*/submitted fra andre tilstander enn pending kommer fra reconcile mot E2.
+const TRANSITIONS = {
+  new: ["pending"],
+  pending: ["draft_created", "draft_updated", "submitted", "failed", "needs_attention"],
+  draft_created: ["pending", "draft_updated", "submitted", "delete_failed", "deleted"],
+  draft_updated: ["pending", "submitted", "delete_failed", "deleted"],
+  submitted: ["pending", "draft_updated"],
+  failed: ["pending", "draft_updated", "submitted", "delete_failed", "deleted"],
+  delete_failed: ["pending", "draft_updated", "submitted", "delete_failed", "deleted"],
+  needs_attention: ["pending", "draft_created", "draft_updated", "submitted", "failed", "delete_failed", "deleted"],
+};
+
+const EXPORT_STATUSES = Object.keys(TRANSITIONS).filter((s) => s !== "new");
+
+// Samme status er en no-op (f.eks. reconcile som bekrefter draft_updated) - unntatt pending
+function canTransition(from, to) {
+  const current = from || "new";
+  if (current === to && to !== "pending") return true;
+  return (TRANSITIONS[current] || []).includes(to);
+}
+
+// Innsendt = status submitted eller submitted_at satt. Rader sendt inn før submitted_at-kolonnen
+// fantes har kun statusen; etter en feilet oppfølging er det motsatt (status failed, submitted_at satt).
+function isSubmitted(row) {
+  return row?.status === "submitted" || Boolean(row?.submitted_at);
+}
+
+// Regler som avhenger av mer enn status: e2_id og om rapporten er sendt inn
+// (failed/pending sier ikke alene om rapporten er en draft eller allerede sendt inn)
+const OPERATION_GUARDS = {
+  create: (row) =>
+    row?.e2_id ? `Incidenten har allerede en E2-rapport (${row.e2_id}) - bruk /drafts/update` : null,
+  edit: (row) =>
+    isSubmitted(row) ? "Rapporten er sendt inn - endringer må sendes som oppfølging (/followup med MINOR/MAJOR)" : null,
+  followup: (row) =>
+    !isSubmitted(row) ? `Oppfølgingsrapport krever at rapporten er sendt inn (status er ${row?.status || "ingen"})` : null,
+  submit: (row) =>
+    row?.status === "submitted" ? "Rapporten er allerede sendt inn - bruk /followup for endringer" : null,
+  delete: (row) =>
+    isSubmitted(row) ? "Rapporten er sendt inn og kan ikke slettes i E2" : null,
+};
+
+/**
+ * Check whether an operation may start for the current export row
+ * @param {Object|null} exportRow
+ * @param {string} operation - create | edit | followup | submit | delete
+ * @returns {{ ok: true } | { ok: false, status: 409, error: string }}
+ */
+function checkOperation(exportRow, operation) {
+  const guard = OPERATION_GUARDS[operation];
+  const error = guard ? guard(exportRow) : null;
+  if (error) return { ok: false, status: 409, error };
+  if (operation !== "create" && exportRow?.status === "pending") {
+    return { ok: false, status: 409, error: "Et E2-kall for denne eksporten pågår allerede (status pending)" };
+  }
+  return { ok: true };
+}
+
+/**
+ * Log one status transition. Never throws - the status change itself already happened.
+ * @param {Object} admin
+ * @param {Object} entry - { exportRow, from, to, operation, actor, reason }
+ */
+async function recordTransition(admin, { exportRow, from, to, operation = null, actor = null, reason = null }) {
+  const { error } = await admin.from(TRANSITIONS_TABLE).insert({
+    export_id: exportRow?.id || null,
+    incident_id: exportRow?.incident_id || null,
+    company_id: exportRow?.company_id || null,
+    environment: exportRow?.environment || null,
+    e2_id: exportRow?.e2_id || null,
+    from_status: from,
+    to_status: to,
+    operation,
+    actor: actor || "system",
+    reason: reason == null ? null : String(reason).slice(0, 1000),
+    created_at: new Date().toISOString(),
+  });
+  if (error && String(error.code) !== "42P01") {
+    console.error(`[status] Kunne ikke logge ${from} -> ${to} for eksport ${exportRow?.id}:`, error);
+  }
+}
+
+/**
+ * Create the export row for a new incident/environment (new -> pending)
+ * @param {Object} admin
+ * @param {Object} fields - column values (incident_id, company_id, environment, ...)
+ * @param {Object} [ctx] - { operation, actor, reason }
+ * @returns {Promise<{ ok: boolean, status?: number, error?: string, details?: Object, export?: Object }>}
+ */
+async function createExportRow(admin, fields, { operation = "create", actor = null, reason = null } = {}) {
+  const { data, error } = await admin
+    .from(EXPORTS_TABLE)
+    .insert({ ...fields, status: "pending" })
+    .select("*")
+    .single();
+
+  if (error) {
+    // 23505 = unik (incident_id, environment) - et annet kall opprettet raden samtidig
+    if (String(error.code) === "23505") {
+      return { ok: false, status: 409, error: "Eksporten ble opprettet samtidig av et annet kall - prøv igjen" };
+    }
+    return { ok: false, status: 500, error: "Kunne ikke opprette eccairs_exports", details: error };
+  }
+
+  await recordTransition(admin, { exportRow: data, from: "new", to: "pending", operation, actor, reason });
+  return { ok: true, export: data };
+}
+
+async function applyTransition(admin, exportRow, to, fields) {
+  let query = to === "deleted"
+    ? admin.from(EXPORTS_TABLE).delete()
+    : admin.from(EXPORTS_TABLE).update({ ...fields, status: to });
+
+  // Compare-and-set på status: en samtidig overgang gir 0 rader i stedet for å bli overskrevet
+  query = query.eq("id", exportRow.id);
+  query = exportRow.status ? query.eq("status", exportRow.status) : query.is("status", null);
+  return query.select("*");
+}
+
+/**
+ * Move an export row to a new status, rejecting illegal transitions
+ * @param {Object} admin - service-role Supabase client
+ * @param {Object} exportRow - current row (status is used for the compare-and-set)
+ * @param {string} to - target status, or "deleted" to remove the row
+ * @param {Object} [ctx] - { operation, actor, reason, fields } - fields are written together with status
+ * @returns {Promise<{ ok: boolean, status?: number, error?: string, details?: Object, export?: Object }>}
+ */
+async function transitionExport(admin, exportRow, to, { operation = null, actor = null, reason = null, fields = {} } = {}) {
+  let current = exportRow;
+
+  // Ett nytt forsøk hvis statusen ble endret mellom lesing og skriving (f.eks. av sweeperen)
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const from = current?.status || "new";
+    if (!canTransition(from, to)) {
+      return { ok: false, status: 409, error: `Ugyldig statusovergang for eksporten: ${from} -> ${to}` };
+    }
+
+    const { data, error } = await applyTransition(admin, current, to, fields);
+    if (error) return { ok: false, status: 500, error: "Kunne ikke oppdatere status i eccairs_exports", details: error };
+
+    const updated = (data || [])[0];
+    if (updated) {
+      if (from !== to) await recordTransition(admin, { exportRow: updated, from, to, operation, actor, reason });
+      return { ok: true, export: to === "deleted" ? null : updated };
+    }
+
+    const { data: fresh, error: readErr } = await admin.from(EXPORTS_TABLE).select("*").eq("id", current.id).maybeSingle();
+    if (readErr) return { ok: false, status: 500, error: "Feil ved henting av eccairs_exports", details: readErr };
+    if (!fresh) return { ok: false, status: 409, error: "Eksporten finnes ikke lenger" };
+    current = fresh;
+  }
+
+  return { ok: false, status: 409, error: "Eksportstatus ble endret samtidig - prøv igjen" };
+}
+
+/**
+ * Transition log for one incident/environment, oldest first
+ * @param {Object} admin
+ * @param {Object} filter - { incident_id, environment }
+ * @returns {Promise<Array>}
+ */
+async function listTransitions(admin, { incident_id, environment }) {
+  const { data, error } = await admin
+    .from(TRANSITIONS_TABLE)
+    .select("*")
+    .eq("incident_id", incident_id)
+    .eq("environment", environment)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    if (String(error.code) === "42P01") return [];
+    throw error;
+  }
+  return data || [];
+}
+
+module.exports = {
+  checkOperation,
+  canTransition,
+  isSubmitted,
+  transitionExport,
+  createExportRow,
+  recordTransition,
+  listTransitions,
+  EXPORT_STATUSES,
+  TRANSITIONS,
+};
@@ -0,0 +1,86 @@
+// exportVersions.js
+// Append-only historikk over hva som er sendt til E2 (tabell: eccairs_export_versions)
+
+const { diffJson, normalizeTaxonomyCodes } = require("./jsonDiff");
+
+const VERSIONS_TABLE = "eccairs_export_versions";
+
+// Aktør for historikken: innlogget bruker, ellers API-key-kall eller bakgrunnsjobb
+function actorFromRequest(req) {
+  return req?.user?.id || "api-key";
+}
+
+/**
+ * Append one entry to the export version log. Never throws - a failed log write
+ * must not turn a successful E2 call into an error for the caller.
+ * @param {Object} admin - service-role Supabase client
+ * @param {Object} entry - { exportRow, operation, version_type, payload, response, e2_version, ok, actor, started_at }
+ * @returns {Promise<Object|null>} inserted row or null
+ */
+async function recordExportVersion(admin, { exportRow, operation, version_type = null, payload = null, response = null, e2_version = null, ok = true, actor = null, started_at = null }) {
+  if (!exportRow?.id) return null;
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await admin
+    .from(VERSIONS_TABLE)
+    .insert({
+      export_id: exportRow.id,
+      incident_id: exportRow.incident_id,
+      company_id: exportRow.company_id,
+      environment: exportRow.environment,
+      e2_id: exportRow.e2_id || null,
+      e2_version: e2_version ?? exportRow.e2_version ?? null,
+      operation,
+      version_type,
+      ok,
+      payload,
+      response,
+      actor: actor || "system",
+      started_at: started_at || nowIso,
+      created_at: nowIso,
+    })
+    .select("*")
+    .single();
+
+  if (error) {
+    console.error(`[versions] Kunne ikke logge ${operation} for eksport ${exportRow.id}:`, error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * List the version log for one incident/environment, oldest first
+ * @param {Object} admin - service-role Supabase client
+ * @param {Object} filter - { incident_id, environment }
+ * @returns {Promise<Array>} version rows
+ */
+async function listExportVersions(admin, { incident_id, environment }) {
+  const { data, error } = await admin
+    .from(VERSIONS_TABLE)
+    .select("*")
+    .eq("incident_id", incident_id)
+    .eq("environment", environment)
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Diff the payloads of two logged versions. When both carry taxonomyCodes only the
+ * occurrence content is compared - create/edit envelopes (type, e2Id, version) differ anyway.
+ * @param {Object} fromVersion - older version row
+ * @param {Object} toVersion - newer version row
+ * @returns {Array} changes from diffJson
+ */
+function diffExportVersions(fromVersion, toVersion) {
+  const from = fromVersion.payload ?? null;
+  const to = toVersion.payload ?? null;
+  if (from?.taxonomyCodes && to?.taxonomyCodes) {
+    return diffJson(normalizeTaxonomyCodes(from.taxonomyCodes), normalizeTaxonomyCodes(to.taxonomyCodes), "taxonomyCodes");
+  }
+  return diffJson(from, to);
+}
+
+module.exports = { recordExportVersion, actorFromRequest, listExportVersions, diffExportVersions, VERSIONS_TABLE };
@@ -0,0 +1,137 @@
+// idempotency.js
+// Idempotency-Key for muterende ruter (tabell: eccairs_idempotency_keys)
+// Samme nøkkel + samme forespørsel spiller av lagret svar; samme nøkkel med annen forespørsel gir 422.
+// Nøkler gjelder per aktør (bruker eller API-key) og utløper etter IDEMPOTENCY_TTL_MS.
+
+const crypto = require("crypto");
+
+const IDEMPOTENCY_TABLE = "eccairs_idempotency_keys";
+const IDEMPOTENCY_TTL_MS = Number(process.env.ECCAIRS_IDEMPOTENCY_TTL_MS) || 24 * 60 * 60_000;
+const MAX_KEY_LENGTH = 255;
+// in_progress eldre enn dette regnes som forlatt (prosessen krasjet før routen svarte)
+const IDEMPOTENCY_STALE_MS = Number(process.env.ECCAIRS_IDEMPOTENCY_STALE_MS) || 15 * 60_000;
+
+let warnedMissingTable = false;
+
+function requestHash(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? null)}`)
+    .digest("hex");
+}
+
+// Klientfeil og vellykkede svar lagres. 5xx uten køet jobb lagres ikke - da kan klienten prøve igjen.
+function shouldStore(status, body) {
+  return status < 500 || Boolean(body?.job);
+}
+
+async function claimKey(admin, row) {
+  const { error } = await admin.from(IDEMPOTENCY_TABLE).insert(row);
+  if (!error) return { claimed: true };
+  if (String(error.code) === "42P01") return { claimed: false, missingTable: true };
+  if (String(error.code) !== "23505") throw error;
+
+  const { data: existing, error: readErr } = await admin
+    .from(IDEMPOTENCY_TABLE)
+    .select("*")
+    .eq("actor", row.actor)
+    .eq("idempotency_key", row.idempotency_key)
+    .maybeSingle();
+  if (readErr) throw readErr;
+  if (!existing) return claimKey(admin, row);
+
+  const abandoned = existing.status === "in_progress" && Date.parse(existing.created_at) <= Date.now() - IDEMPOTENCY_STALE_MS;
+  if (Date.parse(existing.expires_at) <= Date.now() || abandoned) {
+    await admin.from(IDEMPOTENCY_TABLE).delete().eq("id", existing.id).eq("expires_at", existing.expires_at);
+    return claimKey(admin, row);
+  }
+  return { claimed: false, existing };
+}
+
+/**
+ * Express middleware: honour the Idempotency-Key header on a mutating route.
+ * Must run after requireAuth (needs req.supabase.admin) and after body parsing.
+ * @param {Function} actorOf - req => actor id used to scope keys
+ * @returns {Function} middleware
+ */
+function idempotent(actorOf) {
+  return async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (!key) return next();
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ ok: false, error: `Idempotency-Key kan være maks ${MAX_KEY_LENGTH} tegn` });
+    }
+
+    const admin = req.supabase?.admin;
+    if (!admin) return next();
+
+    const now = Date.now();
+    const row = {
+      idempotency_key: key,
+      actor: actorOf(req),
+      route: `${req.method} ${req.baseUrl}${req.path}`,
+      request_hash: requestHash(req),
+      status: "in_progress",
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + IDEMPOTENCY_TTL_MS).toISOString(),
+    };
+
+    let claim;
+    try {
+      claim = await claimKey(admin, row);
+    } catch (err) {
+      console.error("[idempotency] Kunne ikke reservere nøkkel:", err);
+      return res.status(500).json({ ok: false, error: "Kunne ikke sjekke Idempotency-Key" });
+    }
+
+    if (claim.missingTable) {
+      if (!warnedMissingTable) {
+        console.warn(`[idempotency] Tabellen ${IDEMPOTENCY_TABLE} finnes ikke - Idempotency-Key ignoreres`);
+        warnedMissingTable = true;
+      }
+      return next();
+    }
+
+    if (!claim.claimed) {
+      const existing = claim.existing;
+      if (existing.request_hash !== row.request_hash) {
+        return res.status(422).json({ ok: false, error: "Idempotency-Key er allerede brukt med en annen forespørsel" });
+      }
+      if (existing.status !== "completed") {
+        return res.status(409).json({ ok: false, error: "En forespørsel med samme Idempotency-Key pågår allerede" });
+      }
+      res.setHeader("Idempotent-Replayed", "true");
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Lagre svaret når routen er ferdig, uavhengig av om klienten fortsatt er koblet til -
+    // operasjonen er utført, så et nytt forsøk med samme nøkkel skal få det lagrede svaret.
+    // Kun svar som ikke skal lagres (5xx uten jobb) frigir nøkkelen.
+    let settled = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (!settled) {
+        settled = true;
+        const status = res.statusCode;
+        const query = shouldStore(status, body)
+          ? admin
+            .from(IDEMPOTENCY_TABLE)
+            .update({ status: "completed", response_status: status, response_body: body ?? null, completed_at: new Date().toISOString() })
+          : admin.from(IDEMPOTENCY_TABLE).delete();
+
+        query
+          .eq("actor", row.actor)
+          .eq("idempotency_key", key)
+          .eq("request_hash", row.request_hash)
+          .then(({ error }) => {
+            if (error) console.error(`[idempotency] Kunne ikke lagre svar for nøkkel ${key}:`, error);
+          });
+      }
+      return originalJson(body);
+    };
+
+    return next();
+  };
+}
+
+module.exports = { idempotent, IDEMPOTENCY_TTL_MS };
@@ -0,0 +1,219 @@
+// jobQueue.js
+// Varig retry-kø for E2-kall som feilet med 5xx/timeout (tabell: eccairs_jobs)
+// Worker-loopen kjører i gateway-prosessen og poller alle registrerte Supabase-prosjekter
+
+const { E2_REQUEST_MAX_MS } = require("./e2Client");
+
+const JOBS_TABLE = "eccairs_jobs";
+
+const JOB_POLL_INTERVAL_MS = Number(process.env.ECCAIRS_JOB_POLL_MS) || 15_000;
+const JOB_BATCH_SIZE = 5;
+const JOB_MAX_ATTEMPTS = Number(process.env.ECCAIRS_JOB_MAX_ATTEMPTS) || 8;
+const JOB_BACKOFF_BASE_MS = 30_000;
+const JOB_BACKOFF_MAX_MS = 60 * 60_000;
+// Jobber som har stått i "running" lenger enn dette antas å ha mistet prosessen (crash/restart).
+// Må være lengre enn en jobb kan bruke: followup gjør to E2-kall (edit + change-status), pluss margin
+// for Storage-nedlasting og databasekall. Ellers kan en annen worker ta en jobb som fortsatt kjører.
+const JOB_MAX_E2_CALLS = 2;
+const JOB_LOCK_TIMEOUT_MS =
+  Number(process.env.ECCAIRS_JOB_LOCK_TIMEOUT_MS) || JOB_MAX_E2_CALLS * E2_REQUEST_MAX_MS + 2 * 60_000;
+
+// Statuser: queued -> running -> succeeded
+//                            \-> retrying -> running ...
+//                            \-> dead (dead-letter: maks forsøk nådd eller ikke-retrybar feil)
+const JOB_OPERATIONS = ["create", "edit", "submit", "followup", "attachments", "promote"];
+
+// 5xx, 408 og 429 er forbigående - alt annet krever at noen retter data/oppsett
+function isRetryableStatus(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+// Eksponentiell backoff med "equal jitter": halve ventetiden fast, resten tilfeldig
+function computeBackoffMs(attempts) {
+  const exp = Math.min(JOB_BACKOFF_MAX_MS, JOB_BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+/**
+ * Enqueue a failed E2 operation for background retry
+ * @param {Object} admin - service-role Supabase client for the project
+ * @param {Object} job - { operation, incident_id, company_id, environment, e2_id, params, last_error }
+ * @returns {Promise<Object>} the inserted job row
+ */
+async function enqueueJob(admin, { operation, incident_id = null, company_id = null, environment = null, e2_id = null, params = {}, last_error = null }) {
+  if (!JOB_OPERATIONS.includes(operation)) {
+    throw new Error(`Ukjent jobb-operasjon: ${operation}`);
+  }
+
+  const now = Date.now();
+  const { data, error } = await admin
+    .from(JOBS_TABLE)
+    .insert({
+      operation,
+      incident_id,
+      company_id,
+      environment,
+      e2_id,
+      params,
+      status: "queued",
+      // Første forsøk er allerede gjort av routen
+      attempts: 1,
+      max_attempts: JOB_MAX_ATTEMPTS,
+      next_run_at: new Date(now + computeBackoffMs(1)).toISOString(),
+      last_error,
+      created_at: new Date(now).toISOString(),
+      updated_at: new Date(now).toISOString(),
+    })
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  console.log(`[jobs] Enqueued ${operation} job ${data.id} (incident=${incident_id || "n/a"}, env=${environment || "n/a"})`);
+  return data;
+}
+
+async function getJob(admin, id) {
+  const { data, error } = await admin.from(JOBS_TABLE).select("*").eq("id", id).maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+// Atomisk "claim": oppdater kun hvis status og locked_at fortsatt er det vi leste.
+// Status alene holder ikke for hengende jobber - den er "running" også etter at en annen worker
+// har tatt jobben på nytt, mens locked_at endres ved hver claim.
+async function claimJob(admin, job) {
+  let query = admin
+    .from(JOBS_TABLE)
+    .update({ status: "running", locked_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq("id", job.id)
+    .eq("status", job.status);
+  query = job.locked_at ? query.eq("locked_at", job.locked_at) : query.is("locked_at", null);
+
+  const { data, error } = await query.select("*").maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function finishJob(admin, job, result) {
+  const attempts = (job.attempts || 0) + 1;
+  const nowIso = new Date().toISOString();
+  const maxAttempts = job.max_attempts || JOB_MAX_ATTEMPTS;
+
+  let update;
+  if (result.ok) {
+    update = { status: "succeeded", attempts, result: result.body ?? null, last_error: null };
+  } else if (result.retryable && attempts < maxAttempts) {
+    update = {
+      status: "retrying",
+      attempts,
+      result: result.body ?? null,
+      last_error: result.error,
+      next_run_at: new Date(Date.now() + computeBackoffMs(attempts)).toISOString(),
+    };
+  } else {
+    update = { status: "dead", attempts, result: result.body ?? null, last_error: result.error };
+  }
+
+  // Kun hvis vi fortsatt eier claimen - er jobben tatt på nytt, er det den andre workeren som avslutter den
+  const { data, error } = await admin
+    .from(JOBS_TABLE)
+    .update({ ...update, locked_at: null, updated_at: nowIso })
+    .eq("id", job.id)
+    .eq("locked_at", job.locked_at)
+    .select("id");
+
+  if (error) console.error(`[jobs] Kunne ikke oppdatere jobb ${job.id}:`, error);
+  else if (!data || data.length === 0) {
+    console.warn(`[jobs] Job ${job.id} (${job.operation}) ble tatt av en annen worker - resultatet lagres ikke`);
+    return;
+  }
+  console.log(`[jobs] Job ${job.id} (${job.operation}) -> ${update.status} (attempt ${attempts}/${maxAttempts})`);
+}
+
+async function runJob(admin, job, handlers) {
+  const handler = handlers[job.operation];
+  if (!handler) {
+    return finishJob(admin, job, { ok: false, retryable: false, error: `Ingen handler for ${job.operation}` });
+  }
+
+  try {
+    const result = await handler(admin, job);
+    const message = result.body?.message || result.body?.error || `${job.operation} failed (${result.status})`;
+    return finishJob(admin, job, {
+      ok: result.ok,
+      // Operasjonene markerer selv E2-feil som retryable; valideringsfeil o.l. går rett til dead
+      retryable: !result.ok && !!result.retryable,
+      error: result.ok ? null : message,
+      body: result.body,
+    });
+  } catch (err) {
+    // Uventede feil (DB, nettverk) behandles som forbigående
+    return finishJob(admin, job, { ok: false, retryable: true, error: String(err.message || err) });
+  }
+}
+
+async function pollProject(admin, handlers) {
+  const nowIso = new Date().toISOString();
+  const staleIso = new Date(Date.now() - JOB_LOCK_TIMEOUT_MS).toISOString();
+
+  const { data: due, error } = await admin
+    .from(JOBS_TABLE)
+    .select("*")
+    .or(`status.in.(queued,retrying),and(status.eq.running,locked_at.lt.${staleIso})`)
+    .lte("next_run_at", nowIso)
+    .order("next_run_at", { ascending: true })
+    .limit(JOB_BATCH_SIZE);
+
+  if (error) {
+    // 42P01 = tabellen finnes ikke i dette prosjektet ennå
+    if (String(error.code) !== "42P01") console.error("[jobs] Poll feilet:", error);
+    return;
+  }
+
+  for (const job of due || []) {
+    const claimed = await claimJob(admin, job);
+    if (!claimed) continue; // en annen worker tok den
+    await runJob(admin, claimed, handlers);
+  }
+}
+
+/**
+ * Start the in-process worker loop
+ * @param {Object} opts
+ * @param {Function} opts.getProjects - returns an array of service-role Supabase clients to poll
+ * @param {Object} opts.handlers - { [operation]: async (admin, job) => ({ ok, status, body, retryable }) }
+ * @returns {Function} stop function
+ */
+function startJobWorker({ getProjects, handlers }) {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    for (const admin of getProjects()) {
+      try {
+        await pollProject(admin, handlers);
+      } catch (err) {
+        console.error("[jobs] Worker-feil:", err);
+      }
+    }
+    if (!stopped) timer = setTimeout(tick, JOB_POLL_INTERVAL_MS);
+  };
+
+  timer = setTimeout(tick, JOB_POLL_INTERVAL_MS);
+  console.log(`[jobs] Worker startet (intervall ${JOB_POLL_INTERVAL_MS} ms)`);
+
+  return () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  startJobWorker,
+  isRetryableStatus,
+  computeBackoffMs,
+  JOB_OPERATIONS,
+};
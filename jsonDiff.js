@@ -0,0 +1,81 @@
+// jsonDiff.js
+// Enkel strukturell JSON-diff (brukes for drift-sjekk mot E2 og versjonshistorikk)
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function joinPath(base, key) {
+  return base ? `${base}.${key}` : String(key);
+}
+
+/**
+ * Diff two JSON values
+ * @param {*} from - old value
+ * @param {*} to - new value
+ * @param {string} [path] - path prefix (dot separated)
+ * @returns {Array<{ path: string, op: 'added'|'removed'|'changed', from?: *, to?: * }>}
+ */
+function diffJson(from, to, path = "") {
+  if (isPlainObject(from) && isPlainObject(to)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    for (const key of keys) {
+      const p = joinPath(path, key);
+      if (!(key in to)) changes.push({ path: p, op: "removed", from: from[key] });
+      else if (!(key in from)) changes.push({ path: p, op: "added", to: to[key] });
+      else changes.push(...diffJson(from[key], to[key], p));
+    }
+    return changes;
+  }
+
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const changes = [];
+    const len = Math.max(from.length, to.length);
+    for (let i = 0; i < len; i++) {
+      const p = joinPath(path, i);
+      if (i >= to.length) changes.push({ path: p, op: "removed", from: from[i] });
+      else if (i >= from.length) changes.push({ path: p, op: "added", to: to[i] });
+      else changes.push(...diffJson(from[i], to[i], p));
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(from) === JSON.stringify(to)) return [];
+  return [{ path: path || "$", op: "changed", from, to }];
+}
+
+// -------------------------
+// E2 taxonomyCodes normalisering
+// Entitets-arrays nøkles på ID slik at rekkefølge ikke gir falsk drift, rot-ID og
+// DELETE-markører (edit) fjernes siden de ikke er en del av innholdet
+// -------------------------
+function normalizeEntities(entities) {
+  const out = {};
+  for (const [entityId, items] of Object.entries(entities || {})) {
+    out[entityId] = {};
+    for (const item of Array.isArray(items) ? items : []) {
+      if (!item || item.DELETE) continue;
+      const { ID, ATTRIBUTES, ENTITIES } = item;
+      out[entityId][ID || "?"] = {
+        ATTRIBUTES: ATTRIBUTES || {},
+        ...(ENTITIES ? { ENTITIES: normalizeEntities(ENTITIES) } : {}),
+      };
+    }
+    if (Object.keys(out[entityId]).length === 0) delete out[entityId];
+  }
+  return out;
+}
+
+function normalizeTaxonomyCodes(taxonomyCodes) {
+  const out = {};
+  for (const [taxonomy, block] of Object.entries(taxonomyCodes || {})) {
+    out[taxonomy] = {
+      ATTRIBUTES: block?.ATTRIBUTES || {},
+      ENTITIES: normalizeEntities(block?.ENTITIES),
+    };
+  }
+  return out;
+}
+
+module.exports = { diffJson, normalizeTaxonomyCodes };
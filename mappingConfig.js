@@ -0,0 +1,148 @@
+// mappingConfig.js
+// Databasestyrt mapping-konfigurasjon for payload-byggeren (tabell: eccairs_mapping_config)
+// Konstantene i eccairsPayload.js er standardverdier; globale rader (company_id = null) og
+// selskapsrader legges oppå i den rekkefølgen. Høyeste aktive versjon per nivå gjelder.
+
+const CONFIG_TABLE = "eccairs_mapping_config";
+const MAPPING_TTL_MS = Number(process.env.ECCAIRS_MAPPING_TTL_MS) || 5 * 60_000;
+
+// Regel-nøkler i rules-kolonnen (jsonb)
+//   entity_path_overrides: { "390": "14", "391": null }   null fjerner en standardverdi
+//   format_overrides:      { "454": "code_and_additional_text" }
+//   max_length:            { "244": 11 }
+//   skip_attributes:       ["216"] eller { "216": true, "393": false }
+//   force_top_level:       ["432"] eller { "432": true }
+const MAP_RULES = { entity_path_overrides: "entityPathOverrides", format_overrides: "formatOverrides", max_length: "maxLength" };
+const SET_RULES = { skip_attributes: "skipAttributes", force_top_level: "forceTopLevel" };
+
+// Cache per Supabase-prosjekt (admin-klient) og selskap
+const cacheByProject = new WeakMap();
+
+function projectCache(admin) {
+  if (!cacheByProject.has(admin)) cacheByProject.set(admin, new Map());
+  return cacheByProject.get(admin);
+}
+
+function cloneRules(rules) {
+  return {
+    entityPathOverrides: { ...rules.entityPathOverrides },
+    formatOverrides: { ...rules.formatOverrides },
+    maxLength: { ...rules.maxLength },
+    skipAttributes: new Set(rules.skipAttributes),
+    forceTopLevel: new Set(rules.forceTopLevel),
+  };
+}
+
+function applyLayer(target, layer) {
+  if (!layer || typeof layer !== "object") return target;
+
+  for (const [key, prop] of Object.entries(MAP_RULES)) {
+    for (const [code, value] of Object.entries(layer[key] || {})) {
+      if (value == null) delete target[prop][String(code)];
+      else target[prop][String(code)] = value;
+    }
+  }
+
+  for (const [key, prop] of Object.entries(SET_RULES)) {
+    const value = layer[key];
+    if (Array.isArray(value)) {
+      for (const code of value) target[prop].add(String(code));
+    } else if (value && typeof value === "object") {
+      for (const [code, enabled] of Object.entries(value)) {
+        if (enabled) target[prop].add(String(code));
+        else target[prop].delete(String(code));
+      }
+    }
+  }
+  return target;
+}
+
+// Høyeste aktive versjon for globalt nivå og (valgfritt) selskapet.
+// To spørringer med eq/is i stedet for or()-filter, så companyId aldri blir en del av filteruttrykket.
+async function loadConfigRows(admin, companyId) {
+  const select = (scope) => scope(admin.from(CONFIG_TABLE).select("id, company_id, version, rules, created_at").eq("active", true));
+
+  const [globalRes, companyRes] = await Promise.all([
+    select((q) => q.is("company_id", null)),
+    companyId ? select((q) => q.eq("company_id", companyId)) : Promise.resolve({ data: [], error: null }),
+  ]);
+
+  const error = globalRes.error || companyRes.error;
+  if (error) {
+    // 42P01 = tabellen finnes ikke ennå - bruk kun standardverdiene
+    if (String(error.code) === "42P01") return { global: null, company: null };
+    throw error;
+  }
+
+  const latest = (rows) => (rows || []).reduce((best, r) => (!best || Number(r.version) > Number(best.version) ? r : best), null);
+  return {
+    global: latest(globalRes.data),
+    company: companyId ? latest(companyRes.data) : null,
+  };
+}
+
+/**
+ * Effective mapping rules for a company (defaults + global + company), cached with TTL
+ * @param {Object} admin - service-role Supabase client
+ * @param {string|null} companyId
+ * @param {Object} defaults - { entityPathOverrides, formatOverrides, maxLength, skipAttributes, forceTopLevel }
+ * @returns {Promise<Object>} rules with a `source` block describing which versions were applied
+ */
+async function getMappingRules(admin, companyId, defaults) {
+  const cache = projectCache(admin);
+  const key = companyId ? String(companyId) : "global";
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.rules;
+
+  try {
+    const { global, company } = await loadConfigRows(admin, companyId);
+    const rules = applyLayer(applyLayer(cloneRules(defaults), global?.rules), company?.rules);
+    rules.source = {
+      global_version: global?.version ?? null,
+      company_version: company?.version ?? null,
+      loaded_at: new Date().toISOString(),
+    };
+    cache.set(key, { rules, expiresAt: Date.now() + MAPPING_TTL_MS });
+    return rules;
+  } catch (err) {
+    // Behold forrige konfigurasjon hvis databasen er utilgjengelig, ellers standardverdier
+    console.error(`[mapping] Kunne ikke laste mapping-konfigurasjon (${key}):`, err);
+    if (cached) return cached.rules;
+    return { ...cloneRules(defaults), source: { global_version: null, company_version: null, loaded_at: null, error: String(err.message || err) } };
+  }
+}
+
+/**
+ * Drop cached rules so the next build reads the table again
+ * @param {Object} admin
+ * @param {string|null} [companyId] - omit to clear every company in the project
+ * @returns {number} number of entries removed
+ */
+function clearMappingCache(admin, companyId = null) {
+  const cache = projectCache(admin);
+  if (!companyId) {
+    const n = cache.size;
+    cache.clear();
+    return n;
+  }
+  return cache.delete(String(companyId)) ? 1 : 0;
+}
+
+// JSON-vennlig visning (Set -> sortert array)
+function serializeMappingRules(rules) {
+  return {
+    entity_path_overrides: rules.entityPathOverrides,
+    format_overrides: rules.formatOverrides,
+    max_length: rules.maxLength,
+    skip_attributes: Array.from(rules.skipAttributes).sort((a, b) => Number(a) - Number(b)),
+    force_top_level: Array.from(rules.forceTopLevel).sort((a, b) => Number(a) - Number(b)),
+    source: rules.source || null,
+  };
+}
+
+module.exports = {
+  getMappingRules,
+  clearMappingCache,
+  serializeMappingRules,
+  MAPPING_TTL_MS,
+};
@@ -0,0 +1,172 @@
+// pendingSweeper.js
+// Periodisk opprydding av eccairs_exports-rader som har blitt stående i "pending"
+// (prosessen krasjet eller Fly restartet maskinen midt i et E2-kall)
+
+const { transitionExport } = require("./exportStatus");
+
+const SWEEP_INTERVAL_MS = Number(process.env.ECCAIRS_SWEEP_INTERVAL_MS) || 5 * 60_000;
+// En rad regnes som hengende når siste forsøk er eldre enn dette
+const SWEEP_STALE_MS = Number(process.env.ECCAIRS_SWEEP_STALE_MS) || 15 * 60_000;
+const SWEEP_BATCH_SIZE = 20;
+
+const ACTIVE_JOB_STATUSES = ["queued", "retrying", "running"];
+
+// Siste kjøring per prosjekt (for oppsummerings-endepunktet)
+const lastRuns = new Map();
+
+async function findStalePending(admin) {
+  const staleIso = new Date(Date.now() - SWEEP_STALE_MS).toISOString();
+  const { data, error } = await admin
+    .from("eccairs_exports")
+    .select("*")
+    .eq("status", "pending")
+    .lt("last_attempt_at", staleIso)
+    .order("last_attempt_at", { ascending: true })
+    .limit(SWEEP_BATCH_SIZE);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Retry-køen eier raden hvis det finnes en aktiv jobb for samme incident/miljø
+async function hasActiveJob(admin, row) {
+  const { data, error } = await admin
+    .from("eccairs_jobs")
+    .select("id")
+    .eq("incident_id", row.incident_id)
+    .eq("environment", row.environment)
+    .in("status", ACTIVE_JOB_STATUSES)
+    .limit(1);
+
+  if (error) {
+    if (String(error.code) === "42P01") return false;
+    throw error;
+  }
+  return (data || []).length > 0;
+}
+
+async function markNeedsAttention(admin, row, reason) {
+  // Kun fra pending - har en pågående request fullført i mellomtiden avvises overgangen
+  const result = await transitionExport(admin, row, "needs_attention", {
+    operation: "sweep",
+    actor: "sweeper",
+    reason,
+    fields: { last_error: reason, reconciled_at: new Date().toISOString() },
+  });
+
+  if (!result.ok && result.status === 500) throw result.details || new Error(result.error);
+}
+
+/**
+ * Sweep one project for stale pending exports
+ * @param {Object} admin - service-role Supabase client
+ * @param {Function} reconcile - async (admin, row) => ({ ok, status, retryable, body }) from server.js
+ * @returns {Promise<Object>} run summary
+ */
+async function sweepProject(admin, reconcile) {
+  const run = { started_at: new Date().toISOString(), checked: 0, repaired: 0, needs_attention: 0, skipped: 0, errors: 0 };
+
+  for (const row of await findStalePending(admin)) {
+    run.checked++;
+    try {
+      if (await hasActiveJob(admin, row)) {
+        run.skipped++;
+        continue;
+      }
+
+      if (!row.e2_id) {
+        await markNeedsAttention(admin, row,
+          "Hengende create uten e2_id - E2 kan ha opprettet en draft som ikke ble lagret. Sjekk i E2 før nytt forsøk.");
+        run.needs_attention++;
+        continue;
+      }
+
+      const result = await reconcile(admin, row);
+      if (result.ok) {
+        run.repaired++;
+      } else if (result.retryable) {
+        // E2 utilgjengelig nå - prøv igjen ved neste sweep
+        run.skipped++;
+      } else {
+        await markNeedsAttention(admin, row,
+          `Kunne ikke avstemme mot E2 (${result.status}): ${result.body?.message || result.body?.error || "ukjent feil"}`);
+        run.needs_attention++;
+      }
+    } catch (err) {
+      console.error(`[sweeper] Feil for eksport ${row.id}:`, err);
+      run.errors++;
+    }
+  }
+
+  run.finished_at = new Date().toISOString();
+  return run;
+}
+
+/**
+ * Start the periodic sweeper
+ * @param {Object} opts
+ * @param {Function} opts.getProjects - returns an array of [ref, admin] pairs
+ * @param {Function} opts.reconcile - async (admin, row) => result
+ * @returns {Function} stop function
+ */
+function startPendingSweeper({ getProjects, reconcile }) {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    for (const [ref, admin] of getProjects()) {
+      try {
+        const run = await sweepProject(admin, reconcile);
+        lastRuns.set(ref, run);
+        if (run.checked > 0) console.log(`[sweeper] ${ref}:`, run);
+      } catch (err) {
+        console.error(`[sweeper] Sweep feilet for ${ref}:`, err);
+        lastRuns.set(ref, { started_at: new Date().toISOString(), error: String(err.message || err) });
+      }
+    }
+    if (!stopped) timer = setTimeout(tick, SWEEP_INTERVAL_MS);
+  };
+
+  timer = setTimeout(tick, SWEEP_INTERVAL_MS);
+  console.log(`[sweeper] Startet (intervall ${SWEEP_INTERVAL_MS} ms, stale etter ${SWEEP_STALE_MS} ms)`);
+
+  return () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+  };
+}
+
+/**
+ * Summary of stale/attention rows for one project
+ * @param {Object} admin
+ * @param {string} ref - project ref (for last run lookup)
+ * @param {string} [companyId] - restrict to one company
+ */
+async function getSweeperSummary(admin, ref, companyId = null) {
+  const staleIso = new Date(Date.now() - SWEEP_STALE_MS).toISOString();
+
+  const base = () => {
+    let q = admin.from("eccairs_exports").select("id, incident_id, company_id, environment, status, e2_id, last_error, last_attempt_at, reconciled_at");
+    if (companyId) q = q.eq("company_id", companyId);
+    return q;
+  };
+
+  const [{ data: stale, error: staleErr }, { data: attention, error: attErr }] = await Promise.all([
+    base().eq("status", "pending").lt("last_attempt_at", staleIso).limit(100),
+    base().eq("status", "needs_attention").order("last_attempt_at", { ascending: false }).limit(100),
+  ]);
+
+  if (staleErr) throw staleErr;
+  if (attErr) throw attErr;
+
+  return {
+    stale_after_ms: SWEEP_STALE_MS,
+    interval_ms: SWEEP_INTERVAL_MS,
+    last_run: lastRuns.get(ref) || null,
+    counts: { pending_stale: (stale || []).length, needs_attention: (attention || []).length },
+    pending_stale: stale || [],
+    needs_attention: attention || [],
+  };
+}
+
+module.exports = { startPendingSweeper, sweepProject, getSweeperSummary };
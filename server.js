@@ -7,8 +7,28 @@ const Joi = require("joi");
 const multer = require("multer");
 const FormData = require("form-data");
 const { createClient } = require("@supabase/supabase-js");
-const { buildE2Payload } = require("./eccairsPayload");
-const { getE2AccessToken, clearTokenCache } = require("./e2Client");
+const { buildE2Payload, getAttributeRules, toAttributeCode, loadMappingRules } = require("./eccairsPayload");
+const { clearMappingCache, serializeMappingRules } = require("./mappingConfig");
+const { searchValueList, getValueListItem, loadAttributeInfo } = require("./eccairsCatalog");
+const {
+  buildE5XArchive,
+  collectAttributeCodes,
+  readE5XFile,
+  e5xToAttributeRows,
+  checkImportedValues,
+  E5X_TAXONOMY_CODE,
+} = require("./e5x");
+const { REQUIRED_ATTRIBUTES, ATTRIBUTE_RULES } = require("./eccairsRules");
+const { getE2AccessToken, e2Request, clearTokenCache, listTokenCache } = require("./e2Client");
+const { enqueueJob, getJob, startJobWorker, isRetryableStatus } = require("./jobQueue");
+const { diffJson, normalizeTaxonomyCodes } = require("./jsonDiff");
+const { startPendingSweeper, getSweeperSummary } = require("./pendingSweeper");
+const { recordExportVersion, actorFromRequest, listExportVersions, diffExportVersions } = require("./exportVersions");
+const { checkOperation, transitionExport, createExportRow, listTransitions, isSubmitted } = require("./exportStatus");
+const { withExportLock } = require("./exportLocks");
+const { idempotent } = require("./idempotency");
+const { createBatch, runBatch, getBatch, publicBatch } = require("./batches");
+const { recordAttachmentUploads, listAttachments, listSlotSiblings, markAttachmentDeleted, fileChecksum } = require("./attachments");
 
 // Multer configuration for file uploads (in memory)
 const upload = multer({
@@ -44,7 +64,8 @@ app.use((req, res, next) => {
     res.setHeader("Access-Control-Allow-Origin", allowOrigin);
     if (allowOrigin !== "*") res.setHeader("Vary", "Origin");
     res.setHeader("Access-Control-Allow-Methods", "GET,POST,PUT,DELETE,OPTIONS");
-    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, x-api-key");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, x-api-key, Idempotency-Key");
+    res.setHeader("Access-Control-Expose-Headers", "Idempotent-Replayed");
     res.setHeader("Access-Control-Max-Age", "86400");
   }
 
@@ -201,6 +222,82 @@ async function assertIncidentAccess({ req, incident_id }) {
   return { ok: true, incident: data };
 }
 
+// Samme RLS-sjekk for mange incidenter på én gang (batch) - returnerer Map incident_id -> company_id
+// for incidentene brukeren har tilgang til
+const ACCESS_CHUNK = 100;
+
+async function assertIncidentsAccess({ req, incident_ids }) {
+  const userSb = makeUserSupabase(req.supabase, req.jwt);
+  if (!userSb) {
+    return { ok: false, status: 500, error: "SUPABASE_ANON_KEY mangler for prosjektet (trengs for RLS-sjekk)" };
+  }
+
+  const companies = new Map();
+  for (let i = 0; i < incident_ids.length; i += ACCESS_CHUNK) {
+    const { data, error } = await userSb
+      .from("incidents")
+      .select("id, company_id")
+      .in("id", incident_ids.slice(i, i + ACCESS_CHUNK));
+    if (error) return { ok: false, status: 500, error: "Feil ved tilgangssjekk for incidenter (RLS)", details: error };
+    for (const row of data || []) companies.set(String(row.id).toLowerCase(), row.company_id);
+  }
+  return { ok: true, companies };
+}
+
+// RLS access check for company-scoped routes: brukeren må kunne lese selskapet via anon+jwt.
+// API-key-kall er server-til-server og har tilgang til alle selskaper i prosjektet.
+async function assertCompanyAccess({ req, company_id }) {
+  if (!req.user) return { ok: true };
+
+  const userSb = makeUserSupabase(req.supabase, req.jwt);
+  if (!userSb) {
+    return { ok: false, status: 500, error: "SUPABASE_ANON_KEY mangler for prosjektet (trengs for RLS-sjekk)" };
+  }
+
+  const { data, error } = await userSb.from("companies").select("id").eq("id", company_id).maybeSingle();
+  if (error || !data) return { ok: false, status: 403, error: "Ingen tilgang til selskapet (RLS)" };
+  return { ok: true };
+}
+
+// Drift-operasjoner (cache-tømming o.l.): API-key, eller bruker med app_metadata.role = admin
+// (app_metadata kan kun settes med service role, så brukeren kan ikke gi seg selv rollen)
+function isGatewayAdmin(req) {
+  if (!req.user) return true;
+  return req.user.app_metadata?.role === "admin";
+}
+
+// Last ned et objekt fra Supabase Storage. Med JWT brukes brukerens klient slik at
+// storage-RLS gjelder; API-key-kall bruker service role.
+// maxBytes sjekkes mot metadata før nedlasting, så store filer aldri leses inn i minnet
+async function downloadStorageObject(req, { bucket, path, maxBytes = null }) {
+  const client = req.jwt ? makeUserSupabase(req.supabase, req.jwt) : req.supabase.admin;
+  if (!client) {
+    return { ok: false, status: 500, error: "SUPABASE_ANON_KEY mangler for prosjektet (trengs for RLS-sjekk)" };
+  }
+
+  if (maxBytes != null) {
+    const { data: info, error: infoErr } = await client.storage.from(bucket).info(path);
+    if (infoErr || !info) {
+      return { ok: false, status: 404, error: `Fant ikke ${bucket}/${path} i Storage (eller ingen tilgang)`, details: infoErr };
+    }
+    if (Number(info.size) > maxBytes) {
+      return { ok: false, status: 413, error: `${path} er større enn ${Math.floor(maxBytes / (1024 * 1024))} MB` };
+    }
+  }
+
+  const { data, error } = await client.storage.from(bucket).download(path);
+  if (error || !data) {
+    return { ok: false, status: 404, error: `Fant ikke ${bucket}/${path} i Storage (eller ingen tilgang)`, details: error };
+  }
+
+  const buffer = Buffer.from(await data.arrayBuffer());
+  // Metadata kan mangle eller være feil - sjekk faktisk størrelse også
+  if (maxBytes != null && buffer.length > maxBytes) {
+    return { ok: false, status: 413, error: `${path} er større enn ${Math.floor(maxBytes / (1024 * 1024))} MB` };
+  }
+  return { ok: true, buffer, size: buffer.length, contentType: data.type || "application/octet-stream" };
+}
+
 // Get default base URL based on environment
 function getDefaultBaseUrl(environment) {
   return environment === 'prod'
@@ -263,750 +360,2483 @@ async function loadIntegration({ admin, company_id, environment }) {
   return { ok: true, integration };
 }
 
-// Read E2 response safely (JSON or text)
-async function readE2Response(resp) {
-  const text = await resp.text();
-  if (!text) return { parsed: {}, rawText: "" };
-  try {
-    return { parsed: JSON.parse(text), rawText: text };
-  } catch {
-    return { parsed: { _nonJsonBody: text }, rawText: text };
-  }
-}
-
 // -------------------------
-// Health
+// E2-operasjoner
+// Kjernelogikken for create/edit/submit/attachments, delt mellom routes og retry-køen.
+// Returnerer { ok, status, body, retryable } - routen sender body med status.
+// Alle E2-kall går via e2Request (timeout, 401-refresh, retry og normaliserte feil).
+// Statusendringer går via transitionExport (exportStatus.js) - ulovlige overganger gir 409.
 // -------------------------
-app.get("/", (req, res) => res.send("Avisafe ECCAIRS gateway kjører ✅"));
-app.get("/health", (req, res) => res.json({ ok: true }));
 
-// -------------------------
-// Token test (server-side) - uses global credentials
-// -------------------------
-app.post("/api/e2/token/test", async (req, res) => {
-  try {
-    const token = await getE2AccessToken();
-    res.json({ ok: true, token_present: !!token });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: String(err.message || err) });
+// Avvist operasjon/overgang -> perform-resultat (ikke retrybart)
+function statusErrorResult(t) {
+  return { ok: false, status: t.status, body: { ok: false, error: t.error, details: t.details } };
+}
+
+// En feil som kastes etter at raden er satt til "pending" (payload-bygging, DB) flytter raden til failed -
+// ellers blir den stående til sweeperen tar den, og alle kall i mellomtiden får 409 (pending -> pending avvises).
+// Kallerne holder eksport-låsen, så en pending-rad her er vår egen. Feilen kastes videre.
+function releasePendingOnThrow(operationOf, fn) {
+  return async (args) => {
+    try {
+      return await fn(args);
+    } catch (err) {
+      const { admin, incident_id, environment, actor } = args;
+      const operation = typeof operationOf === "function" ? operationOf(args) : operationOf;
+      const message = String(err.message || err);
+      try {
+        const { data: row } = await admin
+          .from("eccairs_exports")
+          .select("*")
+          .eq("incident_id", incident_id)
+          .eq("environment", environment)
+          .maybeSingle();
+        if (row?.status === "pending") {
+          await transitionExport(admin, row, "failed", {
+            operation,
+            actor,
+            reason: message,
+            fields: { last_error: message, last_attempt_at: new Date().toISOString() },
+          });
+        }
+      } catch (cleanupErr) {
+        console.error(`[${operation}] Kunne ikke flytte eksporten ut av pending etter feil:`, cleanupErr);
+      }
+      throw err;
+    }
+  };
+}
+
+async function runCreate({ admin, incident_id, company_id, environment, actor = "system" }) {
+  const startedAt = new Date().toISOString();
+
+  // 1) integration with credentials
+  const integrationRes = await loadIntegration({ admin, company_id, environment });
+  if (!integrationRes.ok) {
+    return { ok: false, status: integrationRes.status, body: { ok: false, error: integrationRes.error, details: integrationRes.details } };
   }
-});
+  const integration = integrationRes.integration;
 
-// -------------------------
-// Protected routes
-// -------------------------
-app.use("/api/eccairs", requireAuth);
+  // 2) opprett eller gjenbruk eksport-raden (kun hvis forrige create feilet før E2 ga en e2_id)
+  const nowIso = new Date().toISOString();
+  const { data: existing, error: exErr } = await admin
+    .from("eccairs_exports")
+    .select("*")
+    .eq("incident_id", incident_id)
+    .eq("environment", environment)
+    .maybeSingle();
 
-// -------------------------
-// Test ECCAIRS Connection (per-company credentials)
-// POST /api/eccairs/test-connection
-// -------------------------
-app.post("/api/eccairs/test-connection", async (req, res) => {
-  try {
-    if (!requireAdminSupabase(req, res)) return;
+  if (exErr) return { ok: false, status: 500, body: { ok: false, error: "Feil ved henting av eccairs_exports", details: exErr } };
+
+  const allowed = checkOperation(existing, "create");
+  if (!allowed.ok) return statusErrorResult(allowed);
+
+  const startFields = { company_id, attempts: (existing?.attempts || 0) + 1, last_attempt_at: nowIso, last_error: null };
+  const started = existing
+    ? await transitionExport(admin, existing, "pending", { operation: "create", actor, fields: startFields })
+    : await createExportRow(admin, { incident_id, environment, ...startFields }, { operation: "create", actor });
+  if (!started.ok) return statusErrorResult(started);
+  const exportRow = started.export;
+
+  // 3) build payload
+  const { payload, meta, explanation } = await buildE2Payload({
+    supabase: admin,
+    incident: { id: incident_id },
+    exportRow,
+    integration,
+    environment,
+    mode: "create",
+  });
 
-    const { company_id, environment } = req.body;
+  console.log("E2 payload meta:", JSON.stringify(meta, null, 2));
 
-    if (!company_id || !environment) {
-      return res.status(400).json({ ok: false, error: "company_id og environment er påkrevd" });
-    }
+  // 4) call E2 create with per-company credentials
+  const createResp = await e2Request("/occurrences/create", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  }, integration);
 
-    // Load integration with credentials
-    const result = await loadIntegration({ admin: req.supabase.admin, company_id, environment });
-    if (!result.ok) {
-      return res.status(result.status).json({ 
-        ok: false, 
-        error: result.error,
-        credentials_source: 'none'
-      });
-    }
+  const createJson = createResp.json;
 
-    try {
-      // Force fresh token fetch so a saved-but-wrong password isn't hidden by cache
-      try { clearTokenCache(company_id); } catch (_) {}
-      // Try to get a token using the integration's credentials
-      const token = await getE2AccessToken(result.integration);
-      
-      
-      return res.json({ 
-        ok: true, 
-        message: "Tilkobling vellykket",
-        credentials_source: result.integration.credentials_source,
-        base_url: result.integration.e2_base_url,
-        has_token: !!token,
-      });
-    } catch (tokenErr) {
-      return res.json({ 
-        ok: false, 
-        error: tokenErr.message,
-        credentials_source: result.integration.credentials_source,
-        base_url: result.integration.e2_base_url,
-      });
-    }
-  } catch (err) {
-    console.error("Feil i /api/eccairs/test-connection:", err);
-    return res.status(500).json({ ok: false, error: String(err.message || err) });
-  }
-});
+  console.log("E2 CREATE RESPONSE", { status: createResp.status, ok: createResp.ok, body: createJson });
 
-// -------------------------
-// Clear cached E2 token for a company (call after credential save)
-// POST /api/eccairs/clear-token-cache
-// -------------------------
-app.post("/api/eccairs/clear-token-cache", async (req, res) => {
-  try {
-    if (!requireAdminSupabase(req, res)) return;
-    const { company_id, environment } = req.body || {};
-    if (!company_id) {
-      return res.status(400).json({ ok: false, error: "company_id er påkrevd" });
-    }
-    try { clearTokenCache(company_id); } catch (_) {}
-    console.log(`[clear-token-cache] company=${company_id} env=${environment || 'n/a'}`);
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error("Feil i /api/eccairs/clear-token-cache:", err);
-    return res.status(200).json({ ok: false, error: String(err.message || err) });
-  }
-});
+  const e2Id = createResp.ok ? (createJson?.data?.e2Id || createJson?.e2Id || null) : null;
+  const e2Version = createResp.ok ? (createJson?.data?.version || createJson?.version || null) : null;
 
+  await recordExportVersion(admin, {
+    exportRow: { ...exportRow, e2_id: e2Id },
+    operation: "create",
+    version_type: "DRAFT",
+    ok: createResp.ok,
+    payload,
+    response: createJson ?? createResp.error,
+    e2_version: e2Version,
+    actor,
+    started_at: startedAt,
+  });
 
+  if (!createResp.ok) {
+    // Timeout/5xx etter at kallet er sendt: E2 kan ha opprettet draften uten at vi fikk e2Id tilbake.
+    // Et nytt create ville gitt et duplikat, så raden går til needs_attention og køen prøver ikke igjen.
+    const outcomeUnknown = createResp.error.sent && (createResp.status >= 500 || createResp.status === 408);
+    const errMsg = outcomeUnknown
+      ? `Ukjent utfall av create (${createResp.error.message}) - E2 kan ha opprettet en draft som ikke ble lagret. Sjekk i E2 før nytt forsøk.`
+      : createResp.error.message;
+
+    await transitionExport(admin, exportRow, outcomeUnknown ? "needs_attention" : "failed", {
+      operation: "create",
+      actor,
+      reason: errMsg,
+      fields: { last_error: errMsg, response: createJson, payload, last_attempt_at: new Date().toISOString() },
+    });
 
-// -------------------------
-// Schemas
-// -------------------------
-const baseSchema = Joi.object({
-  incident_id: Joi.string().uuid().required(),
-  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
-}).unknown(false);
+    return {
+      ok: false,
+      status: createResp.status,
+      retryable: !outcomeUnknown && isRetryableStatus(createResp.status),
+      body: {
+        ok: false,
+        error: "E2 create failed",
+        status: createResp.status,
+        message: errMsg,
+        details: createJson,
+        ...(outcomeUnknown ? { needs_attention: true } : {}),
+        meta,
+        explanation,
+      },
+    };
+  }
 
-const getUrlSchema = Joi.object({
-  e2_id: Joi.string().required(),
-  incident_id: Joi.string().uuid().optional(),
-  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
-}).unknown(false);
+  const done = await transitionExport(admin, exportRow, "draft_created", {
+    operation: "create",
+    actor,
+    reason: `E2 opprettet ${e2Id}`,
+    fields: {
+      e2_id: e2Id,
+      e2_version: e2Version,
+      entity_ids: meta.entityIds,
+      payload,
+      response: createJson,
+      last_error: null,
+      last_attempt_at: new Date().toISOString(),
+    },
+  });
 
-const deleteSchema = Joi.object({
-  e2_id: Joi.string().required(),
-  incident_id: Joi.string().uuid().optional(),
-  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
-}).unknown(false);
+  if (!done.ok) return { ok: false, status: done.status, body: { ok: false, error: "Kunne ikke oppdatere eccairs_exports etter create", message: done.error, details: done.details, e2_id: e2Id } };
+  const updatedExport = done.export;
 
-// -------------------------
-// Create draft
-// POST /api/eccairs/drafts
-// -------------------------
-app.post("/api/eccairs/drafts", async (req, res) => {
-  try {
-    if (!requireAdminSupabase(req, res)) return;
+  return {
+    ok: true,
+    status: 200,
+    body: { ok: true, incident_id, environment, e2_id: e2Id, e2_version: e2Version, export: updatedExport, meta, explanation, raw: createJson },
+  };
+}
 
-    const { error, value } = baseSchema.validate(req.body || {});
-    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+// versionType: DRAFT for vanlige draft-endringer, MINOR/MAJOR for oppfølgingsrapporter
+async function runUpdate({ admin, incident_id, environment, versionType = "DRAFT", actor = "system" }) {
+  const startedAt = new Date().toISOString();
 
-    const { incident_id, environment } = value;
+  // 1) fetch export row
+  const { data: currentRow, error: expErr } = await admin
+    .from("eccairs_exports")
+    .select("*")
+    .eq("incident_id", incident_id)
+    .eq("environment", environment)
+    .maybeSingle();
 
-    // 0) RLS access
-    const access = await assertIncidentAccess({ req, incident_id });
-    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+  if (expErr) return { ok: false, status: 500, body: { ok: false, error: "Feil ved henting av eccairs_exports", details: expErr } };
+  if (!currentRow?.e2_id) return { ok: false, status: 400, body: { ok: false, error: "Ingen e2_id funnet. Opprett draft først." } };
+  if (!currentRow?.e2_version) return { ok: false, status: 400, body: { ok: false, error: "Ingen e2_version funnet. Opprett draft på nytt eller hent korrekt versjon." } };
 
-    const company_id = access.incident.company_id;
+  // DRAFT-edit kun før innsending, MINOR/MAJOR kun etter
+  const operation = versionType === "DRAFT" ? "edit" : "followup";
+  const allowed = checkOperation(currentRow, operation);
+  if (!allowed.ok) return statusErrorResult(allowed);
 
-    // 1) integration with credentials
-    const integrationRes = await loadIntegration({ admin: req.supabase.admin, company_id, environment });
-    if (!integrationRes.ok) return res.status(integrationRes.status).json({ ok: false, error: integrationRes.error, details: integrationRes.details });
-    const integration = integrationRes.integration;
+  // 2) integration with credentials
+  const integrationRes = await loadIntegration({ admin, company_id: currentRow.company_id, environment });
+  if (!integrationRes.ok) {
+    return { ok: false, status: integrationRes.status, body: { ok: false, error: integrationRes.error, details: integrationRes.details } };
+  }
+  const integration = integrationRes.integration;
 
-    // 2) upsert export row
-    const nowIso = new Date().toISOString();
-    const { data: existing } = await req.supabase.admin
-      .from("eccairs_exports")
-      .select("id, attempts")
-      .eq("incident_id", incident_id)
-      .eq("environment", environment)
-      .maybeSingle();
+  // 3) mark pending attempt - raden fra overgangen brukes videre (versjonen kan ha endret seg)
+  const started = await transitionExport(admin, currentRow, "pending", {
+    operation,
+    actor,
+    fields: { attempts: (currentRow.attempts || 0) + 1, last_attempt_at: new Date().toISOString(), last_error: null },
+  });
+  if (!started.ok) return statusErrorResult(started);
+  const exportRow = started.export;
+
+  // 4) build payload (edit mode)
+  const { payload, meta, explanation } = await buildE2Payload({
+    supabase: admin,
+    incident: { id: incident_id },
+    exportRow,
+    integration,
+    environment,
+    mode: "edit",
+    versionType,
+  });
 
-    const nextAttempts = (existing?.attempts || 0) + 1;
+  console.log("E2 update payload meta:", JSON.stringify(meta, null, 2));
+
+  // 5) call E2 edit with per-company credentials
+  const editResp = await e2Request("/occurrences/edit", {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      e2Id: exportRow.e2_id,
+      version: exportRow.e2_version,
+      ...payload,
+    }),
+  }, integration);
+
+  const editJson = editResp.json;
+  const newVersion = editResp.ok ? (editJson?.data?.version ?? editJson?.version ?? exportRow.e2_version ?? null) : exportRow.e2_version;
+
+  await recordExportVersion(admin, {
+    exportRow,
+    // DRAFT-endringer er vanlige edits, MINOR/MAJOR er oppfølgingsrapporter
+    operation,
+    version_type: versionType,
+    ok: editResp.ok,
+    payload: { e2Id: exportRow.e2_id, version: exportRow.e2_version, ...payload },
+    response: editJson ?? editResp.error,
+    e2_version: newVersion,
+    actor,
+    started_at: startedAt,
+  });
 
-    const { data: exportRow, error: upErr } = await req.supabase.admin
-      .from("eccairs_exports")
-      .upsert(
-        {
-          incident_id,
-          company_id,
-          environment,
-          status: "pending",
-          attempts: nextAttempts,
-          last_attempt_at: nowIso,
-          last_error: null,
-        },
-        { onConflict: "incident_id,environment" }
-      )
-      .select("*")
-      .single();
+  if (!editResp.ok) {
+    const errMsg = editResp.error.message;
 
-    if (upErr) return res.status(500).json({ ok: false, error: "Kunne ikke oppdatere eccairs_exports", details: upErr });
+    console.error("E2 EDIT FAILED", { status: editResp.status, errMsg, editJson });
 
-    // 3) build payload
-    const { payload, meta } = await buildE2Payload({
-      supabase: req.supabase.admin,
-      incident: { id: incident_id },
-      exportRow,
-      integration,
-      environment,
-      mode: "create",
+    await transitionExport(admin, exportRow, "failed", {
+      operation,
+      actor,
+      reason: errMsg,
+      fields: { last_error: errMsg, response: editJson, payload, last_attempt_at: new Date().toISOString() },
     });
 
-    console.log("E2 payload meta:", JSON.stringify(meta, null, 2));
+    return {
+      ok: false,
+      status: editResp.status,
+      retryable: isRetryableStatus(editResp.status),
+      body: { ok: false, error: "E2 edit failed", status: editResp.status, message: errMsg, details: editJson, meta, explanation },
+    };
+  }
+
+  const done = await transitionExport(admin, exportRow, "draft_updated", {
+    operation,
+    actor,
+    reason: `E2 versjon ${newVersion} (${versionType})`,
+    fields: {
+      e2_version: newVersion,
+      entity_ids: meta.entityIds,
+      payload,
+      response: editJson,
+      last_error: null,
+      last_attempt_at: new Date().toISOString(),
+    },
+  });
+
+  if (!done.ok) return { ok: false, status: done.status, body: { ok: false, error: "Kunne ikke oppdatere eccairs_exports etter edit", message: done.error, details: done.details } };
+  const updatedExport = done.export;
+
+  return {
+    ok: true,
+    status: 200,
+    body: { ok: true, incident_id, environment, e2_id: exportRow.e2_id, e2_version: updatedExport.e2_version, export: updatedExport, meta, explanation, raw: editJson },
+  };
+}
+
+async function runSubmit({ admin, incident_id, environment, actor = "system" }) {
+  const startedAt = new Date().toISOString();
 
-    // 4) call E2 create with per-company credentials
-    const token = await getE2AccessToken(integration);
-    const base = integration.e2_base_url || process.env.E2_BASE_URL;
-    if (!base) return res.status(500).json({ ok: false, error: "E2_BASE_URL mangler" });
+  const { data: currentRow, error: expErr } = await admin
+    .from("eccairs_exports")
+    .select("*")
+    .eq("incident_id", incident_id)
+    .eq("environment", environment)
+    .maybeSingle();
+
+  if (expErr) return { ok: false, status: 500, body: { ok: false, error: "Feil ved henting av eccairs_exports", details: expErr } };
+  if (!currentRow?.e2_id) return { ok: false, status: 400, body: { ok: false, error: "Ingen e2_id funnet. Opprett draft først." } };
+
+  const allowed = checkOperation(currentRow, "submit");
+  if (!allowed.ok) return statusErrorResult(allowed);
+
+  // Load integration with credentials
+  const integrationRes = await loadIntegration({ admin, company_id: currentRow.company_id, environment });
+  if (!integrationRes.ok) return { ok: false, status: integrationRes.status, body: { ok: false, error: integrationRes.error } };
+  const integration = integrationRes.integration;
+
+  // Pre-flight: blokker innsending hvis påkrevde ECCAIRS-regler feiler
+  const { meta } = await buildE2Payload({
+    supabase: admin,
+    incident: { id: incident_id },
+    exportRow: currentRow,
+    integration,
+    environment,
+    mode: "edit",
+    explain: false,
+  });
 
-    const createResp = await fetch(`${base}/occurrences/create`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-        Accept: "application/json",
+  if (!meta.validation.ok) {
+    return {
+      ok: false,
+      status: 422,
+      body: {
+        ok: false,
+        error: "ECCAIRS-validering feilet",
+        reportType: meta.validation.reportType,
+        errors: meta.validation.errors,
       },
-      body: JSON.stringify(payload),
+    };
+  }
+
+  const started = await transitionExport(admin, currentRow, "pending", {
+    operation: "submit",
+    actor,
+    fields: { attempts: (currentRow.attempts || 0) + 1, last_attempt_at: new Date().toISOString(), last_error: null },
+  });
+  if (!started.ok) return statusErrorResult(started);
+  const exp = started.export;
+
+  const payload = { e2Id: exp.e2_id, status: "SENT" };
+
+  const r = await e2Request("/occurrences/change-status", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  }, integration);
+
+  const j = r.json;
+
+  await recordExportVersion(admin, {
+    exportRow: exp,
+    operation: "submit",
+    ok: r.ok,
+    payload,
+    response: j ?? r.error,
+    actor,
+    started_at: startedAt,
+  });
+
+  if (!r.ok) {
+    const errMsg = r.error.message;
+
+    await transitionExport(admin, exp, "failed", {
+      operation: "submit",
+      actor,
+      reason: errMsg,
+      fields: { last_error: errMsg, response: j, payload, last_attempt_at: new Date().toISOString() },
     });
 
-    const { parsed: createJson } = await readE2Response(createResp);
+    return {
+      ok: false,
+      status: r.status,
+      retryable: isRetryableStatus(r.status),
+      body: { ok: false, error: "E2 change-status failed", status: r.status, message: errMsg, details: j },
+    };
+  }
+
+  const done = await transitionExport(admin, exp, "submitted", {
+    operation: "submit",
+    actor,
+    reason: `Sendt inn versjon ${exp.e2_version ?? "?"}`,
+    fields: {
+      submitted_at: exp.submitted_at || new Date().toISOString(),
+      last_error: null,
+      response: j,
+      payload,
+      last_attempt_at: new Date().toISOString(),
+    },
+  });
 
-    console.log("E2 CREATE RESPONSE", { status: createResp.status, ok: createResp.ok, body: createJson });
+  if (!done.ok) return { ok: false, status: done.status, body: { ok: false, error: "Kunne ikke oppdatere eccairs_exports etter submit", message: done.error, details: done.details } };
+  const updated = done.export;
 
-    if (!createResp.ok) {
-      const errMsg = createJson?.errorDetails || createJson?.message || createJson?.error || `E2 create failed (${createResp.status})`;
+  return { ok: true, status: 200, body: { ok: true, incident_id, environment, e2_id: exp.e2_id, export: updated, raw: j } };
+}
 
-      await req.supabase.admin
-        .from("eccairs_exports")
-        .update({
-          status: "failed",
-          last_error: errMsg,
-          response: createJson,
-          payload,
-          last_attempt_at: new Date().toISOString(),
-        })
-        .eq("id", exportRow.id);
+const performCreate = releasePendingOnThrow("create", runCreate);
+const performUpdate = releasePendingOnThrow((args) => (args.versionType && args.versionType !== "DRAFT" ? "followup" : "edit"), runUpdate);
+const performSubmit = releasePendingOnThrow("submit", runSubmit);
+
+// EU 376/2014 art. 13: oppfølging innen 30 dager og endelig rapport innen 3 måneder etter første rapport
+function reportingDeadlines(submittedAt) {
+  if (!submittedAt) return null;
+  const first = new Date(submittedAt);
+  const followUp = new Date(first.getTime() + 30 * 24 * 60 * 60_000);
+  const final = new Date(first);
+  final.setUTCMonth(final.getUTCMonth() + 3);
+  return { first_submitted_at: first.toISOString(), followup_due: followUp.toISOString(), final_due: final.toISOString() };
+}
+
+// Oppfølgingsrapport etter innsending (EU 376/2014: oppfølging innen 30 dager, endelig rapport innen 3 måneder)
+// Sender edit med MINOR/MAJOR og deretter change-status (begge stegene logges i eccairs_export_versions)
+// resumeAt="submit": edit-steget er allerede gjort (ny versjon finnes i E2) - kun change-status gjenstår.
+// Brukes av retry-køen så et nytt forsøk ikke lager enda en MINOR/MAJOR-versjon.
+async function performFollowUp({ admin, incident_id, environment, versionType, resumeAt = null, actor = "system" }) {
+  const { data: exp, error: expErr } = await admin
+    .from("eccairs_exports")
+    .select("*")
+    .eq("incident_id", incident_id)
+    .eq("environment", environment)
+    .maybeSingle();
 
-      return res.status(createResp.status).json({ ok: false, error: "E2 create failed", status: createResp.status, message: errMsg, details: createJson, meta });
+  if (expErr) return { ok: false, status: 500, body: { ok: false, error: "Feil ved henting av eccairs_exports", details: expErr } };
+  if (!exp?.e2_id) return { ok: false, status: 400, body: { ok: false, error: "Ingen e2_id funnet. Opprett draft først." } };
+  // submitted_at settes ved første innsending og blir stående selv om en oppfølging feiler underveis
+  const allowed = checkOperation(exp, "followup");
+  if (!allowed.ok) return statusErrorResult(allowed);
+
+  // 1) edit med MINOR/MAJOR (hoppes over når vi gjenopptar etter en feilet innsending)
+  let editResult;
+  if (resumeAt === "submit") {
+    // Innsendingen kan ha blitt fullført av et annet kall i mellomtiden
+    if (exp.status === "submitted") {
+      return {
+        ok: true,
+        status: 200,
+        body: { ok: true, incident_id, environment, e2_id: exp.e2_id, version_type: versionType, e2_version: exp.e2_version, resumed_at: "submit", already_submitted: true, export: exp },
+      };
     }
+    editResult = { ok: true, body: { e2_version: exp.e2_version, export: exp, meta: null, explanation: null, raw: null } };
+  } else {
+    editResult = await performUpdate({ admin, incident_id, environment, versionType, actor });
+    if (!editResult.ok) {
+      return { ...editResult, body: { ...editResult.body, step: "edit" } };
+    }
+  }
 
-    const e2Id = createJson?.data?.e2Id || createJson?.e2Id || null;
-    const e2Version = createJson?.data?.version || createJson?.version || null;
+  // 2) send inn den nye versjonen
+  const submitResult = await performSubmit({ admin, incident_id, environment, actor });
+  const finalExport = submitResult.body?.export || editResult.body.export;
 
-    const { data: updatedExport, error: updErr } = await req.supabase.admin
-      .from("eccairs_exports")
-      .update({
-        status: "draft_created",
-        e2_id: e2Id,
-        e2_version: e2Version,
-        payload,
-        response: createJson,
-        last_error: null,
-        last_attempt_at: new Date().toISOString(),
-      })
-      .eq("id", exportRow.id)
-      .select("*")
-      .single();
+  if (!submitResult.ok) {
+    return { ...submitResult, body: { ...submitResult.body, step: "submit", e2_version: editResult.body.e2_version } };
+  }
+
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      ok: true,
+      incident_id,
+      environment,
+      e2_id: exp.e2_id,
+      version_type: versionType,
+      e2_version: editResult.body.e2_version,
+      ...(resumeAt ? { resumed_at: resumeAt } : {}),
+      deadlines: reportingDeadlines(finalExport?.submitted_at),
+      export: finalExport,
+      meta: editResult.body.meta,
+      explanation: editResult.body.explanation,
+      raw: { edit: editResult.body.raw, submit: submitResult.body.raw },
+    },
+  };
+}
+
+// files: [{ buffer, originalname, mimetype, storage?: { bucket, path } }]
+// overwrite=true erstatter alle filer på attributePath/entityID i E2, false legger til
+async function performAttachmentUpload({ admin, e2Id, files, attributePath, versionType, entityID, incident_id, environment, overwrite = true, actor = "system" }) {
+  const startedAt = new Date().toISOString();
+
+  // Eksport-raden gir credentials og versjonshistorikk. Uten incident_id finnes den via e2Id,
+  // så opplastingen ikke mangler i eccairs_export_versions.
+  let integration = null;
+  let expQuery = admin.from("eccairs_exports").select("*").eq("environment", environment || "sandbox");
+  expQuery = incident_id ? expQuery.eq("incident_id", incident_id) : expQuery.eq("e2_id", e2Id);
+  const { data: exp } = await expQuery.maybeSingle();
+  if (!incident_id && exp?.incident_id) incident_id = exp.incident_id;
+
+  if (exp?.company_id) {
+    const integrationRes = await loadIntegration({ admin, company_id: exp.company_id, environment: environment || "sandbox" });
+    if (integrationRes.ok) {
+      integration = integrationRes.integration;
+    }
+  }
+
+  // Build multipart form data for E2 API - ONLY files in body (per Swagger docs)
+  const formData = new FormData();
+
+  // Add files ONLY - parameters go as query params per API spec
+  for (const file of files) {
+    formData.append("files", file.buffer, {
+      filename: file.originalname,
+      contentType: file.mimetype,
+    });
+  }
+
+  // Build URL with query parameters (as per Swagger docs - NOT in FormData body)
+  const queryParams = new URLSearchParams();
+  queryParams.append("attributePath", attributePath);
+  queryParams.append("versionType", versionType);
+  queryParams.append("overwrite", String(Boolean(overwrite)));
+  if (entityID) {
+    queryParams.append("entityID", entityID);
+  }
+
+  const uploadPath = `/occurrences/attachments/${encodeURIComponent(e2Id)}?${queryParams.toString()}`;
+
+  // Convert FormData to Buffer for native fetch compatibility
+  const formBuffer = formData.getBuffer();
+  const formHeaders = formData.getHeaders();
+
+  console.log("E2 ATTACHMENT UPLOAD:", {
+    path: uploadPath,
+    fileCount: files.length,
+    fileNames: files.map(f => f.originalname),
+    attributePath,
+    versionType,
+    entityID,
+    overwrite,
+    contentType: formHeaders['content-type'],
+  });
+
+  const uploadResp = await e2Request(uploadPath, {
+    method: "PUT",
+    headers: {
+      "User-Agent": "Avisafe-ECCAIRS-Gateway/1.0",
+      ...formHeaders,
+    },
+    body: formBuffer,
+  }, integration);
+
+  const uploadJson = uploadResp.json;
+
+  console.log("E2 ATTACHMENT RESPONSE:", {
+    status: uploadResp.status,
+    ok: uploadResp.ok,
+    body: uploadJson,
+  });
 
-    if (updErr) return res.status(500).json({ ok: false, error: "Kunne ikke oppdatere eccairs_exports etter create", details: updErr });
+  // Filinnholdet logges ikke - kun metadata om hva som ble sendt
+  await recordExportVersion(admin, {
+    exportRow: exp,
+    operation: "attachments",
+    version_type: versionType,
+    ok: uploadResp.ok,
+    payload: {
+      attributePath,
+      versionType,
+      entityID,
+      overwrite,
+      files: files.map((f) => ({ name: f.originalname, size: f.buffer?.length ?? null, mimetype: f.mimetype })),
+    },
+    response: uploadJson ?? uploadResp.error,
+    actor,
+    started_at: startedAt,
+  });
+
+  if (!uploadResp.ok) {
+    const errMsg = uploadResp.error.message;
+    return {
+      ok: false,
+      status: uploadResp.status,
+      retryable: isRetryableStatus(uploadResp.status),
+      body: {
+        ok: false,
+        error: "E2 attachment upload failed",
+        status: uploadResp.status,
+        message: errMsg,
+        details: uploadJson,
+      },
+    };
+  }
+
+  const recorded = await recordAttachmentUploads(admin, {
+    exportRow: exp,
+    incident_id,
+    environment,
+    e2Id,
+    attributePath,
+    entityID,
+    versionType,
+    overwrite,
+    files,
+    actor,
+  });
+
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      ok: true,
+      e2Id,
+      attachments: recorded,
+      fileCount: files.length,
+      fileNames: files.map(f => f.originalname),
+      attributePath,
+      versionType,
+      mode: overwrite ? "overwrite" : "append",
+      raw: uploadJson,
+    },
+  };
+}
+
+// Sletter en draft i E2. Uten incident_id slettes kun i E2 (ingen eksport-rad å oppdatere).
+async function performDelete({ admin, e2_id, incident_id = null, company_id = null, environment, actor = "system" }) {
+  // Eksport-raden hentes før E2-kallet - innsendte rapporter og pågående kall avvises
+  let exportRow = null;
+  if (incident_id) {
+    const { data, error: expErr } = await admin
+      .from("eccairs_exports")
+      .select("*")
+      .eq("incident_id", incident_id)
+      .eq("environment", environment)
+      .maybeSingle();
+    if (expErr) return { ok: false, status: 500, body: { ok: false, error: "Feil ved henting av eccairs_exports", details: expErr } };
+    exportRow = data;
+
+    if (exportRow) {
+      const allowed = checkOperation(exportRow, "delete");
+      if (!allowed.ok) return statusErrorResult(allowed);
+    }
+  }
+
+  // Load integration for credentials if we have company_id
+  let integration = null;
+  if (company_id) {
+    const integrationRes = await loadIntegration({ admin, company_id, environment });
+    if (integrationRes.ok) {
+      integration = integrationRes.integration;
+    }
+  }
+
+  // ECCAIRS E2 DELETE (API Guide v4.26) - integration if available, otherwise global credentials
+  const type = e2_id.startsWith("VR-") ? "VR" : e2_id.startsWith("OC-") ? "OC" : "OR";
+  const encodedE2Id = encodeURIComponent(String(e2_id));
+
+  const deletePath = `/occurrences/delete-draft/${type}/${encodedE2Id}`;
+
+  console.log("E2 DELETE request:", deletePath, { e2_id, type });
+
+  const startedAt = new Date().toISOString();
+  const deleteResp = await e2Request(deletePath, { method: "DELETE" }, integration);
+  const deleteJson = deleteResp.json;
+
+  console.log("E2 DELETE RESPONSE", { 
+    status: deleteResp.status, 
+    ok: deleteResp.ok, 
+    body: deleteJson 
+  });
+
+  // Logg før eksport-raden eventuelt slettes - historikken skal overleve selve draften
+  if (exportRow) {
+    await recordExportVersion(admin, {
+      exportRow,
+      operation: "delete",
+      ok: deleteResp.ok,
+      payload: { e2Id: e2_id, type },
+      response: deleteJson ?? deleteResp.error,
+      actor,
+      started_at: startedAt,
+    });
+  }
+
+  if (!deleteResp.ok) {
+    const errMsg = deleteResp.error.message;
+
+    if (exportRow) {
+      await transitionExport(admin, exportRow, "delete_failed", {
+        operation: "delete",
+        actor,
+        reason: errMsg,
+        fields: { last_error: errMsg, response: deleteJson, last_attempt_at: new Date().toISOString() },
+      });
+    }
+
+    return {
+      ok: false,
+      status: deleteResp.status,
+      body: { ok: false, error: "E2 delete failed", status: deleteResp.status, message: errMsg, details: deleteJson },
+    };
+  }
+
+  if (exportRow) {
+    const removed = await transitionExport(admin, exportRow, "deleted", {
+      operation: "delete",
+      actor,
+      reason: `Draft ${e2_id} slettet i E2`,
+    });
+    if (!removed.ok) console.error(`[status] Kunne ikke fjerne eksport ${exportRow.id} etter sletting i E2:`, removed.error);
+  }
+
+  return {
+    ok: true,
+    status: 200,
+    body: { ok: true, deleted: e2_id, environment, message: "Draft deleted successfully", raw: deleteJson },
+  };
+}
+
+// Sandbox-eksporter som kan promoteres til prod (draft finnes i sandbox-E2)
+const PROMOTABLE_STATUSES = ["draft_created", "draft_updated", "submitted"];
+
+// Oppretter prod-draft for en incident som er eksportert til sandbox, og lenker radene.
+// Payloaden bygges på nytt med prod-integrasjonen (credentials og mapping) - sandbox-payloaden kopieres ikke.
+async function performPromote({ admin, incident_id, company_id, requireSubmitted = false, actor = "system" }) {
+  const { data: sandbox, error: sbErr } = await admin
+    .from("eccairs_exports")
+    .select("*")
+    .eq("incident_id", incident_id)
+    .eq("environment", "sandbox")
+    .maybeSingle();
+
+  if (sbErr) return { ok: false, status: 500, body: { ok: false, error: "Feil ved henting av eccairs_exports", details: sbErr } };
+  if (!sandbox?.e2_id) {
+    return { ok: false, status: 409, body: { ok: false, error: "Ingen vellykket sandbox-eksport å promotere - opprett draft i sandbox først" } };
+  }
+  if (!PROMOTABLE_STATUSES.includes(sandbox.status)) {
+    return {
+      ok: false,
+      status: 409,
+      body: { ok: false, error: `Sandbox-eksporten har status ${sandbox.status} - må være ${PROMOTABLE_STATUSES.join(", ")}` },
+    };
+  }
+  if (requireSubmitted && !isSubmitted(sandbox)) {
+    return { ok: false, status: 409, body: { ok: false, error: "Sandbox-eksporten er ikke sendt inn (require_submitted)" } };
+  }
+
+  const sandboxInfo = { export_id: sandbox.id, e2_id: sandbox.e2_id, status: sandbox.status };
+
+  const created = await performCreate({ admin, incident_id, company_id, environment: "prod", actor });
+  if (!created.ok) return { ...created, body: { ...created.body, sandbox: sandboxInfo } };
+
+  const prodExport = created.body.export;
+  const nowIso = new Date().toISOString();
+
+  // Lenken skrives i begge retninger; prod-draften finnes uansett, så feil her stopper ikke promoteringen
+  const [prodLink, sandboxLink] = await Promise.all([
+    admin
+      .from("eccairs_exports")
+      .update({ promoted_from_export_id: sandbox.id, promoted_from_e2_id: sandbox.e2_id })
+      .eq("id", prodExport.id),
+    admin
+      .from("eccairs_exports")
+      .update({ promoted_to_export_id: prodExport.id, promoted_to_e2_id: prodExport.e2_id, promoted_at: nowIso })
+      .eq("id", sandbox.id),
+  ]);
+  const linkError = prodLink.error || sandboxLink.error || null;
+  if (linkError) console.error(`[promote] Kunne ikke lagre lenke sandbox ${sandbox.e2_id} -> prod ${prodExport.e2_id}:`, linkError);
+
+  await recordExportVersion(admin, {
+    exportRow: sandbox,
+    operation: "promote",
+    ok: true,
+    payload: { prod_export_id: prodExport.id, prod_e2_id: prodExport.e2_id },
+    actor,
+  });
+
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      ok: true,
+      incident_id,
+      sandbox: sandboxInfo,
+      prod: { export_id: prodExport.id, e2_id: prodExport.e2_id, e2_version: prodExport.e2_version },
+      promoted_at: nowIso,
+      link_error: linkError ? String(linkError.message || linkError.code || linkError) : null,
+      export: { ...prodExport, promoted_from_export_id: sandbox.id, promoted_from_e2_id: sandbox.e2_id },
+      meta: created.body.meta,
+      explanation: created.body.explanation,
+      raw: created.body.raw,
+    },
+  };
+}
+
+// -------------------------
+// Les occurrence tilbake fra E2 og avstem mot eccairs_exports
+// -------------------------
+async function readE2Occurrence(e2Id, integration) {
+  const r = await e2Request(`/occurrences/get/${encodeURIComponent(e2Id)}`, { method: "GET" }, integration);
+  if (!r.ok) return { ok: false, status: r.status, error: r.error, json: r.json };
+
+  const data = r.json?.data || r.json || {};
+  return {
+    ok: true,
+    occurrence: data,
+    e2Status: data.status ?? data.reportStatus ?? null,
+    e2Version: data.version ?? null,
+    raw: r.json,
+  };
+}
+
+// E2-status (DRAFT, SENT, ...) -> eccairs_exports.status
+function exportStatusFromE2(e2Status, currentStatus) {
+  if (!e2Status) return currentStatus;
+  if (String(e2Status).toUpperCase() === "DRAFT") {
+    return String(currentStatus || "").startsWith("draft_") ? currentStatus : "draft_updated";
+  }
+  return "submitted";
+}
+
+// Sammenlign lagret payload med det E2 faktisk har (kun taxonomyCodes)
+function detectDrift(storedPayload, occurrence) {
+  if (!storedPayload?.taxonomyCodes || !occurrence?.taxonomyCodes) {
+    return { drift: false, compared: false, changes: [] };
+  }
+  const changes = diffJson(
+    normalizeTaxonomyCodes(storedPayload.taxonomyCodes),
+    normalizeTaxonomyCodes(occurrence.taxonomyCodes)
+  );
+  return { drift: changes.length > 0, compared: true, changes };
+}
+
+async function reconcileExport({ admin, exportRow, integration, actor = "system" }) {
+  const read = await readE2Occurrence(exportRow.e2_id, integration);
+  if (!read.ok) {
+    return {
+      ok: false,
+      status: read.status,
+      retryable: isRetryableStatus(read.status),
+      body: { ok: false, error: "E2 read failed", status: read.status, message: read.error.message, details: read.json },
+    };
+  }
+
+  const drift = detectDrift(exportRow.payload, read.occurrence);
+  const nowIso = new Date().toISOString();
+
+  // E2 er fasit - overgangen logges med E2-statusen som årsak
+  const done = await transitionExport(admin, exportRow, exportStatusFromE2(read.e2Status, exportRow.status), {
+    operation: "reconcile",
+    actor,
+    reason: `E2-status ${read.e2Status ?? "ukjent"}, versjon ${read.e2Version ?? "ukjent"}`,
+    fields: {
+      e2_version: read.e2Version ?? exportRow.e2_version,
+      response: read.raw,
+      drift: drift.drift ? { detected_at: nowIso, changes: drift.changes } : null,
+      reconciled_at: nowIso,
+    },
+  });
+
+  if (!done.ok) return { ok: false, status: done.status, body: { ok: false, error: "Kunne ikke oppdatere eccairs_exports etter reconcile", message: done.error, details: done.details } };
+  const updated = done.export;
+
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      ok: true,
+      e2_id: exportRow.e2_id,
+      environment: exportRow.environment,
+      e2_status: read.e2Status,
+      e2_version: read.e2Version,
+      previous: { status: exportRow.status, e2_version: exportRow.e2_version },
+      drift,
+      export: updated,
+    },
+  };
+}
+
+// Reconcile under samme lås som create/edit/submit: en "pending"-rad kan ha et E2-kall underveis,
+// og en avstemming midt i det ville flyttet raden så kallets egen overgang (og e2_id) avvises.
+// Raden leses på nytt etter at låsen er tatt.
+async function reconcileExportLocked({ admin, exportRow, integration, actor = "system", waitMs }) {
+  return withExportLock(admin, { incident_id: exportRow.incident_id, environment: exportRow.environment, operation: "reconcile", actor, waitMs }, async () => {
+    const { data: fresh, error } = await admin.from("eccairs_exports").select("*").eq("id", exportRow.id).maybeSingle();
+    if (error) return { ok: false, status: 500, body: { ok: false, error: "Feil ved henting av eccairs_exports", details: error } };
+    if (!fresh?.e2_id) return { ok: false, status: 409, body: { ok: false, error: "Eksporten finnes ikke lenger eller mangler e2_id" } };
+    return reconcileExport({ admin, exportRow: fresh, integration, actor });
+  });
+}
+
+// Brukes av sweeperen for hengende "pending"-rader
+async function reconcilePendingExport(admin, row) {
+  const integrationRes = await loadIntegration({ admin, company_id: row.company_id, environment: row.environment });
+  if (!integrationRes.ok) {
+    return { ok: false, status: integrationRes.status, body: { ok: false, error: integrationRes.error } };
+  }
+  const result = await reconcileExportLocked({ admin, exportRow: row, integration: integrationRes.integration, actor: "sweeper", waitMs: 0 });
+  // Låst = operasjonen kjører fortsatt, raden henger ikke - sweeperen prøver igjen neste runde
+  return result.locked ? { ...result, retryable: true } : result;
+}
+
+// -------------------------
+// Retry-kø (eccairs_jobs)
+// -------------------------
+// Vedlegg mellomlagres i Supabase Storage slik at workeren kan laste dem opp på nytt
+const JOB_FILES_BUCKET = process.env.ECCAIRS_JOB_BUCKET || "eccairs-job-files";
+
+async function stageJobFiles(admin, files) {
+  const prefix = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  const staged = [];
+  for (const [i, file] of files.entries()) {
+    const path = `${prefix}/${i}-${file.originalname}`;
+    const { error } = await admin.storage
+      .from(JOB_FILES_BUCKET)
+      .upload(path, file.buffer, { contentType: file.mimetype, upsert: true });
+    if (error) throw error;
+    staged.push({ bucket: JOB_FILES_BUCKET, path, filename: file.originalname, contentType: file.mimetype });
+  }
+  return staged;
+}
+
+async function loadJobFiles(admin, staged) {
+  const files = [];
+  for (const f of staged || []) {
+    const { data, error } = await admin.storage.from(f.bucket).download(f.path);
+    if (error) throw error;
+    files.push({
+      buffer: Buffer.from(await data.arrayBuffer()),
+      originalname: f.filename,
+      mimetype: f.contentType,
+      // Referanser til brukerens egne Storage-filer (ikke mellomlagret av gatewayen)
+      ...(f.storage ? { storage: { bucket: f.bucket, path: f.path } } : {}),
+    });
+  }
+  return files;
+}
+
+// Legg operasjonen i retry-køen hvis E2 feilet forbigående; legger jobb-info på svaret
+async function queueRetryIfTransient(admin, operation, result, fields) {
+  if (result.ok || !result.retryable) return result;
+  try {
+    const job = await enqueueJob(admin, {
+      operation,
+      ...fields,
+      last_error: result.body?.message || result.body?.error || null,
+    });
+    result.body = { ...result.body, job: { id: job.id, status: job.status, next_run_at: job.next_run_at } };
+  } catch (err) {
+    console.error(`[jobs] Kunne ikke legge ${operation} i retry-køen:`, err);
+  }
+  return result;
+}
+
+// Historikken viser hvem som startet operasjonen, også når retry-køen fullfører den
+const jobActor = (job) => job.params?.actor || "retry-queue";
+
+// Køen tar samme lås som routene, uten å vente - en opptatt lås betyr bare "prøv jobben senere"
+async function runJobLocked(admin, job, operation, fn) {
+  const result = await withExportLock(admin, {
+    incident_id: job.incident_id,
+    environment: job.environment,
+    operation,
+    actor: jobActor(job),
+    waitMs: 0,
+  }, fn);
+  return result.locked ? { ...result, retryable: true } : result;
+}
+
+const jobHandlers = {
+  create: (admin, job) => runJobLocked(admin, job, "create", () => performCreate({
+    admin,
+    incident_id: job.incident_id,
+    company_id: job.company_id,
+    environment: job.environment,
+    actor: jobActor(job),
+  })),
+  edit: (admin, job) => runJobLocked(admin, job, "edit", () =>
+    performUpdate({ admin, incident_id: job.incident_id, environment: job.environment, actor: jobActor(job) })),
+  submit: (admin, job) => runJobLocked(admin, job, "submit", () =>
+    performSubmit({ admin, incident_id: job.incident_id, environment: job.environment, actor: jobActor(job) })),
+  // Feilet forrige forsøk på innsending, er edit allerede gjort - da sendes kun change-status
+  followup: (admin, job) => runJobLocked(admin, job, "followup", () => performFollowUp({
+    admin,
+    incident_id: job.incident_id,
+    environment: job.environment,
+    versionType: job.params?.versionType,
+    resumeAt: job.params?.resume_at || (job.result?.step === "submit" ? "submit" : null),
+    actor: jobActor(job),
+  })),
+  promote: (admin, job) => runJobLocked(admin, job, "promote", () => performPromote({
+    admin,
+    incident_id: job.incident_id,
+    company_id: job.company_id,
+    requireSubmitted: !!job.params?.require_submitted,
+    actor: jobActor(job),
+  })),
+  attachments: async (admin, job) => {
+    const { files: staged = [], attributePath, versionType, entityID, overwrite = true } = job.params || {};
+    const files = await loadJobFiles(admin, staged);
+    const result = await performAttachmentUpload({
+      admin,
+      e2Id: job.e2_id,
+      files,
+      attributePath,
+      versionType,
+      entityID,
+      incident_id: job.incident_id,
+      environment: job.environment,
+      overwrite,
+      actor: jobActor(job),
+    });
+    const ownStaged = staged.filter((f) => !f.storage);
+    if (result.ok && ownStaged.length > 0) {
+      // Rydd opp mellomlagrede filer når opplastingen er gjennomført
+      await admin.storage.from(JOB_FILES_BUCKET).remove(ownStaged.map((f) => f.path));
+    }
+    return result;
+  },
+};
+
+// -------------------------
+// Health
+// -------------------------
+app.get("/", (req, res) => res.send("Avisafe ECCAIRS gateway kjører ✅"));
+app.get("/health", (req, res) => res.json({ ok: true }));
+
+// -------------------------
+// Token test (server-side) - uses global credentials
+// -------------------------
+app.post("/api/e2/token/test", async (req, res) => {
+  try {
+    const token = await getE2AccessToken();
+    res.json({ ok: true, token_present: !!token });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Protected routes
+// -------------------------
+app.use("/api/eccairs", requireAuth);
+
+// Idempotency-Key på muterende ruter - nøkler gjelder per bruker/API-key
+const idempotency = idempotent(actorFromRequest);
+
+// -------------------------
+// Test ECCAIRS Connection (per-company credentials)
+// POST /api/eccairs/test-connection
+// -------------------------
+app.post("/api/eccairs/test-connection", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { company_id, environment } = req.body;
+
+    if (!company_id || !environment) {
+      return res.status(400).json({ ok: false, error: "company_id og environment er påkrevd" });
+    }
+
+    // Load integration with credentials
+    const result = await loadIntegration({ admin: req.supabase.admin, company_id, environment });
+    if (!result.ok) {
+      return res.status(result.status).json({ 
+        ok: false, 
+        error: result.error,
+        credentials_source: 'none'
+      });
+    }
+
+    try {
+      // Force fresh token fetch so a saved-but-wrong password isn't hidden by cache
+      try { clearTokenCache(company_id, environment); } catch (_) {}
+      // Try to get a token using the integration's credentials
+      const token = await getE2AccessToken(result.integration);
+      
+      
+      return res.json({ 
+        ok: true, 
+        message: "Tilkobling vellykket",
+        credentials_source: result.integration.credentials_source,
+        base_url: result.integration.e2_base_url,
+        has_token: !!token,
+      });
+    } catch (tokenErr) {
+      return res.json({ 
+        ok: false, 
+        error: tokenErr.message,
+        credentials_source: result.integration.credentials_source,
+        base_url: result.integration.e2_base_url,
+      });
+    }
+  } catch (err) {
+    console.error("Feil i /api/eccairs/test-connection:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Clear cached E2 tokens for a company (call after credential save)
+// POST /api/eccairs/clear-token-cache  { company_id, environment? }
+// environment utelatt = tøm alle miljøer for selskapet
+// -------------------------
+app.post("/api/eccairs/clear-token-cache", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+    const { company_id, environment } = req.body || {};
+    if (!company_id) {
+      return res.status(400).json({ ok: false, error: "company_id er påkrevd" });
+    }
+    if (environment && !["sandbox", "prod"].includes(environment)) {
+      return res.status(400).json({ ok: false, error: "environment må være sandbox eller prod" });
+    }
+    const access = await assertCompanyAccess({ req, company_id: String(company_id) });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    let cleared = 0;
+    try { cleared = clearTokenCache(company_id, environment || null); } catch (_) {}
+    console.log(`[clear-token-cache] company=${company_id} env=${environment || 'all'} cleared=${cleared}`);
+    return res.json({ ok: true, cleared, entries: listTokenCache(company_id) });
+  } catch (err) {
+    console.error("Feil i /api/eccairs/clear-token-cache:", err);
+    return res.status(200).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// List cached E2 tokens (uten selve tokenene)
+// GET /api/eccairs/clear-token-cache?company_id=...
+// -------------------------
+app.get("/api/eccairs/clear-token-cache", async (req, res) => {
+  try {
+    const company_id = req.query.company_id ? String(req.query.company_id) : null;
+    // Kun API-key-kall får se hele cachen på tvers av selskaper
+    if (!company_id && req.user) {
+      return res.status(400).json({ ok: false, error: "company_id er påkrevd" });
+    }
+    if (company_id) {
+      const access = await assertCompanyAccess({ req, company_id });
+      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    }
+    return res.json({ ok: true, entries: listTokenCache(company_id) });
+  } catch (err) {
+    console.error("Feil i GET /api/eccairs/clear-token-cache:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Mapping-konfigurasjon (eccairs_mapping_config)
+// GET  /api/eccairs/mapping-config?company_id=...          effektive regler
+// POST /api/eccairs/mapping-config/reload  { company_id? }  tøm cache og last på nytt (kun admin)
+// company_id utelatt = globale regler / hele prosjektet (kun API-key)
+// -------------------------
+const mappingConfigSchema = Joi.object({
+  company_id: Joi.string().uuid().allow(null).default(null),
+}).unknown(false);
+
+app.get("/api/eccairs/mapping-config", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = mappingConfigSchema.validate(req.query || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { company_id } = value;
+    if (company_id) {
+      const access = await assertCompanyAccess({ req, company_id });
+      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    }
+
+    const rules = await loadMappingRules(req.supabase.admin, company_id);
+    return res.json({ ok: true, company_id, rules: serializeMappingRules(rules) });
+  } catch (err) {
+    console.error("Feil i GET /api/eccairs/mapping-config:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+app.post("/api/eccairs/mapping-config/reload", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+    if (!isGatewayAdmin(req)) return res.status(403).json({ ok: false, error: "Kun administratorer kan laste mapping-konfigurasjonen på nytt" });
+
+    const { error, value } = mappingConfigSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { company_id } = value;
+    // Kun API-key-kall kan laste globale regler på nytt for hele prosjektet
+    if (!company_id && req.user) {
+      return res.status(400).json({ ok: false, error: "company_id er påkrevd" });
+    }
+    if (company_id) {
+      const access = await assertCompanyAccess({ req, company_id });
+      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    }
+
+    const cleared = clearMappingCache(req.supabase.admin, company_id);
+    const rules = await loadMappingRules(req.supabase.admin, company_id);
+    console.log(`[mapping-config] reload ref=${req.supabase.ref} company=${company_id || "all"} cleared=${cleared}`);
+
+    return res.json({ ok: true, company_id, cleared, rules: serializeMappingRules(rules) });
+  } catch (err) {
+    console.error("Feil i /api/eccairs/mapping-config/reload:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Schemas
+// -------------------------
+const baseSchema = Joi.object({
+  incident_id: Joi.string().uuid().required(),
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+}).unknown(false);
+
+const followUpSchema = Joi.object({
+  incident_id: Joi.string().uuid().required(),
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+  versionType: Joi.string().valid("MINOR", "MAJOR").required(),
+}).unknown(false);
+
+const promoteSchema = Joi.object({
+  incident_id: Joi.string().uuid().required(),
+  require_submitted: Joi.boolean().default(false),
+}).unknown(false);
+
+const getUrlSchema = Joi.object({
+  e2_id: Joi.string().required(),
+  incident_id: Joi.string().uuid().optional(),
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+}).unknown(false);
+
+const previewSchema = Joi.object({
+  incident_id: Joi.string().uuid().required(),
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+  mode: Joi.string().valid("create", "edit").default("create"),
+}).unknown(false);
+
+const deleteSchema = Joi.object({
+  e2_id: Joi.string().required(),
+  incident_id: Joi.string().uuid().optional(),
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+}).unknown(false);
+
+// -------------------------
+// Create draft
+// POST /api/eccairs/drafts
+// -------------------------
+app.post("/api/eccairs/drafts", idempotency, async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = baseSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { incident_id, environment } = value;
+
+    // 0) RLS access
+    const access = await assertIncidentAccess({ req, incident_id });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    const company_id = access.incident.company_id;
+
+    const actor = actorFromRequest(req);
+    const result = await withExportLock(req.supabase.admin, { incident_id, environment, operation: "create", actor }, () =>
+      performCreate({ admin: req.supabase.admin, incident_id, company_id, environment, actor }));
+    await queueRetryIfTransient(req.supabase.admin, "create", result, { incident_id, company_id, environment, params: { actor } });
+
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Feil i /api/eccairs/drafts:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Update draft (edit)
+// POST /api/eccairs/drafts/update
+// -------------------------
+app.post("/api/eccairs/drafts/update", idempotency, async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = baseSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { incident_id, environment } = value;
+
+    // 0) RLS access
+    const access = await assertIncidentAccess({ req, incident_id });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    const actor = actorFromRequest(req);
+    const result = await withExportLock(req.supabase.admin, { incident_id, environment, operation: "edit", actor }, () =>
+      performUpdate({ admin: req.supabase.admin, incident_id, environment, actor }));
+    await queueRetryIfTransient(req.supabase.admin, "edit", result, {
+      incident_id,
+      company_id: access.incident.company_id,
+      environment,
+      params: { actor },
+    });
+
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Feil i /api/eccairs/drafts/update:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Preview draft payload (dry-run, kaller ikke E2)
+// POST /api/eccairs/drafts/preview
+// -------------------------
+app.post("/api/eccairs/drafts/preview", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = previewSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { incident_id, environment, mode } = value;
+
+    // 0) RLS access
+    const access = await assertIncidentAccess({ req, incident_id });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    const company_id = access.incident.company_id;
+
+    // 1) export row (kun lesing - preview skal aldri endre eccairs_exports)
+    let exportRow = null;
+    if (mode === "edit") {
+      const { data, error: expErr } = await req.supabase.admin
+        .from("eccairs_exports")
+        .select("*")
+        .eq("incident_id", incident_id)
+        .eq("environment", environment)
+        .maybeSingle();
+
+      if (expErr) return res.status(500).json({ ok: false, error: "Feil ved henting av eccairs_exports", details: expErr });
+      if (!data?.e2_id) return res.status(400).json({ ok: false, error: "Ingen e2_id funnet. Opprett draft først." });
+      exportRow = data;
+    }
+
+    // 2) integration (uten token) - preview skal fungere selv om integrasjonen ikke er konfigurert
+    const integrationRes = await loadIntegration({ admin: req.supabase.admin, company_id, environment });
+    const integration = integrationRes.ok ? integrationRes.integration : { company_id };
+
+    // 3) build payload
+    const { payload, meta, explanation } = await buildE2Payload({
+      supabase: req.supabase.admin,
+      incident: { id: incident_id },
+      exportRow,
+      integration,
+      environment,
+      mode,
+    });
+
+    // Samme body som /drafts/update sender til E2
+    const body = mode === "edit"
+      ? { e2Id: exportRow.e2_id, version: exportRow.e2_version, ...payload }
+      : payload;
+
+    return res.json({ ok: true, incident_id, environment, mode, payload: body, meta, explanation });
+  } catch (err) {
+    console.error("Feil i /api/eccairs/drafts/preview:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Delete draft
+// POST /api/eccairs/drafts/delete
+// -------------------------
+app.post("/api/eccairs/drafts/delete", idempotency, async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = deleteSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { e2_id, incident_id, environment } = value;
+
+    // Hvis incident_id er gitt, sjekk RLS-tilgang og hent company_id
+    let company_id = null;
+    if (incident_id) {
+      const access = await assertIncidentAccess({ req, incident_id });
+      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+      company_id = access.incident.company_id;
+    }
+
+    const actor = actorFromRequest(req);
+    const admin = req.supabase.admin;
+    const run = () => performDelete({ admin, e2_id, incident_id, company_id, environment, actor });
+
+    // Uten incident_id finnes ingen eksport-rad å låse
+    const result = incident_id
+      ? await withExportLock(admin, { incident_id, environment, operation: "delete", actor }, run)
+      : await run();
+
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Feil i /api/eccairs/drafts/delete:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Get URL to open in E2 UI
+// GET /api/eccairs/get-url?e2_id=...&environment=...
+// -------------------------
+app.get("/api/eccairs/get-url", async (req, res) => {
+  try {
+    const { error, value } = getUrlSchema.validate(req.query || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { e2_id, incident_id, environment } = value;
+
+    let integration = null;
+    if (incident_id) {
+      const access = await assertIncidentAccess({ req, incident_id });
+      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+      const integrationRes = await loadIntegration({ admin: req.supabase.admin, company_id: access.incident.company_id, environment });
+      if (!integrationRes.ok) {
+        return res.status(integrationRes.status).json({ ok: false, error: integrationRes.error, details: integrationRes.details });
+      }
+      integration = integrationRes.integration;
+    }
+
+    const url = `/occurrences/get-URL/${encodeURIComponent(e2_id)}`;
+
+    const r = await e2Request(url, { method: "GET" }, integration);
+    const j = r.json;
+
+    if (!r.ok) {
+      return res.status(404).json({ ok: false, error: "get-URL failed", environment, message: r.error.message, details: j, used: url, status: r.status });
+    }
+
+    const openUrl = j?.data?.url || null;
+    return res.json({ ok: true, e2_id, environment, url: openUrl, raw: j, used: url, credentials_source: integration?.credentials_source || 'environment' });
+  } catch (err) {
+    console.error("Feil i /api/eccairs/get-url:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Submit report
+// POST /api/eccairs/submit
+// -------------------------
+app.post("/api/eccairs/submit", idempotency, async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = baseSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { incident_id, environment } = value;
+
+    const access = await assertIncidentAccess({ req, incident_id });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    const actor = actorFromRequest(req);
+    const result = await withExportLock(req.supabase.admin, { incident_id, environment, operation: "submit", actor }, () =>
+      performSubmit({ admin: req.supabase.admin, incident_id, environment, actor }));
+    await queueRetryIfTransient(req.supabase.admin, "submit", result, {
+      incident_id,
+      company_id: access.incident.company_id,
+      environment,
+      params: { actor },
+    });
+
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Feil i /api/eccairs/submit:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Follow-up report (MINOR/MAJOR) etter innsending
+// POST /api/eccairs/followup
+// -------------------------
+app.post("/api/eccairs/followup", idempotency, async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = followUpSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { incident_id, environment, versionType } = value;
+
+    const access = await assertIncidentAccess({ req, incident_id });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    const actor = actorFromRequest(req);
+    const result = await withExportLock(req.supabase.admin, { incident_id, environment, operation: "followup", actor }, () =>
+      performFollowUp({ admin: req.supabase.admin, incident_id, environment, versionType, actor }));
+    await queueRetryIfTransient(req.supabase.admin, "followup", result, {
+      incident_id,
+      company_id: access.incident.company_id,
+      environment,
+      // step=submit: edit gikk gjennom, så retry skal kun sende inn på nytt
+      params: { versionType, actor, ...(result.body?.step === "submit" ? { resume_at: "submit" } : {}) },
+    });
+
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Feil i /api/eccairs/followup:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Promote sandbox -> prod
+// POST /api/eccairs/promote { incident_id, require_submitted }
+// -------------------------
+app.post("/api/eccairs/promote", idempotency, async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = promoteSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { incident_id, require_submitted } = value;
+
+    const access = await assertIncidentAccess({ req, incident_id });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    const company_id = access.incident.company_id;
+    const actor = actorFromRequest(req);
+    const admin = req.supabase.admin;
+
+    // Låsen gjelder prod-raden som opprettes
+    const result = await withExportLock(admin, { incident_id, environment: "prod", operation: "promote", actor }, () =>
+      performPromote({ admin, incident_id, company_id, requireSubmitted: require_submitted, actor }));
+    await queueRetryIfTransient(admin, "promote", result, {
+      incident_id,
+      company_id,
+      environment: "prod",
+      params: { require_submitted, actor },
+    });
+
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Feil i /api/eccairs/promote:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Upload Attachments
+// POST /api/eccairs/attachments/:e2Id
+// Multipart form-data with files
+// -------------------------
+app.post("/api/eccairs/attachments/:e2Id", upload.array("files", 10), async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { e2Id } = req.params;
+    if (!e2Id) {
+      return res.status(400).json({ ok: false, error: "e2Id er påkrevd" });
+    }
+
+    const files = req.files;
+    if (!files || files.length === 0) {
+      return res.status(400).json({ ok: false, error: "Ingen filer lastet opp" });
+    }
+
+    // Get optional parameters from body
+    const attributePath = req.body.attributePath || "24.ATTRIBUTES.793"; // Default: occurrence level
+    const versionType = req.body.versionType || "DRAFT";
+    const entityID = req.body.entityID || null;
+    const environment = req.body.environment || "sandbox";
+    const mode = req.body.mode || "overwrite";
+
+    // Validate versionType
+    if (!["DRAFT", "MINOR", "MAJOR"].includes(versionType)) {
+      return res.status(400).json({ ok: false, error: "versionType må være DRAFT, MINOR eller MAJOR" });
+    }
+    if (!["append", "overwrite"].includes(mode)) {
+      return res.status(400).json({ ok: false, error: "mode må være append eller overwrite" });
+    }
+    const overwrite = mode === "overwrite";
+
+    // incident_id er valgfri - incidenten finnes via eksporten for e2Id, så tilgang,
+    // credentials og versjonshistorikk alltid gjelder riktig incident
+    const access = await assertAttachmentAccess(req, e2Id, environment);
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    if (req.body.incident_id && req.body.incident_id !== access.incident.id) {
+      return res.status(400).json({ ok: false, error: "e2Id tilhører ikke denne incidenten/miljøet" });
+    }
+    const incident_id = access.incident.id;
+
+    const actor = actorFromRequest(req);
+    const result = await performAttachmentUpload({
+      admin: req.supabase.admin,
+      e2Id,
+      files,
+      attributePath,
+      versionType,
+      entityID,
+      incident_id,
+      environment,
+      overwrite,
+      actor,
+    });
+
+    if (!result.ok && result.retryable) {
+      // Filene ligger kun i minnet - mellomlagre dem før de legges i køen
+      try {
+        const staged = await stageJobFiles(req.supabase.admin, files);
+        await queueRetryIfTransient(req.supabase.admin, "attachments", result, {
+          incident_id,
+          company_id: access.incident.company_id,
+          environment,
+          e2_id: e2Id,
+          params: { attributePath, versionType, entityID, overwrite, files: staged, actor },
+        });
+      } catch (stageErr) {
+        console.error("[jobs] Kunne ikke mellomlagre vedlegg for retry:", stageErr);
+      }
+    }
+
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Feil i /api/eccairs/attachments:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Read occurrence from E2
+// GET /api/eccairs/occurrences/:e2Id?environment=...&incident_id=...
+// POST /api/eccairs/occurrences/:e2Id/reconcile  { environment }
+// -------------------------
+const occurrenceQuerySchema = Joi.object({
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+  incident_id: Joi.string().uuid().optional(),
+}).unknown(false);
+
+// Finn eksport-rad, sjekk RLS-tilgang og last integrasjon for en e2Id
+async function resolveOccurrenceContext(req, e2Id, { environment, incident_id }) {
+  const admin = req.supabase.admin;
+  const { data: exportRow, error: expErr } = await admin
+    .from("eccairs_exports")
+    .select("*")
+    .eq("e2_id", e2Id)
+    .eq("environment", environment)
+    .maybeSingle();
+
+  if (expErr) return { ok: false, status: 500, error: "Feil ved henting av eccairs_exports", details: expErr };
+
+  const accessIncidentId = exportRow?.incident_id || incident_id;
+  if (!accessIncidentId) return { ok: false, status: 404, error: "Ingen eksport funnet for denne e2_id. Oppgi incident_id." };
+
+  const access = await assertIncidentAccess({ req, incident_id: accessIncidentId });
+  if (!access.ok) return access;
+
+  const company_id = exportRow?.company_id || access.incident.company_id;
+  const integrationRes = await loadIntegration({ admin, company_id, environment });
+  if (!integrationRes.ok) return integrationRes;
+
+  return { ok: true, exportRow: exportRow || null, integration: integrationRes.integration };
+}
+
+app.get("/api/eccairs/occurrences/:e2Id", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = occurrenceQuerySchema.validate(req.query || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { e2Id } = req.params;
+    const ctx = await resolveOccurrenceContext(req, e2Id, value);
+    if (!ctx.ok) return res.status(ctx.status).json({ ok: false, error: ctx.error, details: ctx.details });
+
+    const read = await readE2Occurrence(e2Id, ctx.integration);
+    if (!read.ok) {
+      return res.status(read.status).json({ ok: false, error: "E2 read failed", status: read.status, message: read.error.message, details: read.json });
+    }
+
+    return res.json({
+      ok: true,
+      e2_id: e2Id,
+      environment: value.environment,
+      e2_status: read.e2Status,
+      e2_version: read.e2Version,
+      occurrence: read.occurrence,
+      export: ctx.exportRow,
+      drift: ctx.exportRow ? detectDrift(ctx.exportRow.payload, read.occurrence) : null,
+    });
+  } catch (err) {
+    console.error("Feil i /api/eccairs/occurrences/:e2Id:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+app.post("/api/eccairs/occurrences/:e2Id/reconcile", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = occurrenceQuerySchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { e2Id } = req.params;
+    const ctx = await resolveOccurrenceContext(req, e2Id, value);
+    if (!ctx.ok) return res.status(ctx.status).json({ ok: false, error: ctx.error, details: ctx.details });
+    if (!ctx.exportRow) return res.status(404).json({ ok: false, error: "Ingen eksport funnet for denne e2_id" });
+
+    const result = await reconcileExportLocked({
+      admin: req.supabase.admin,
+      exportRow: ctx.exportRow,
+      integration: ctx.integration,
+      actor: actorFromRequest(req),
+    });
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Feil i /api/eccairs/occurrences/:e2Id/reconcile:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Upload Attachments fra Supabase Storage
+// POST /api/eccairs/attachments/:e2Id/from-storage
+// { incident_id, environment, attributePath, versionType, entityID, mode, files: [{ bucket, path, name? }] }
+// -------------------------
+const STORAGE_ATTACHMENT_MAX_BYTES = 50 * 1024 * 1024; // samme grense som multipart-ruten
+// Valgfri allow-list av buckets gatewayen kan hente vedlegg fra (kommaseparert)
+const ATTACHMENT_BUCKETS = (process.env.ECCAIRS_ATTACHMENT_BUCKETS || "")
+  .split(",")
+  .map((b) => b.trim())
+  .filter(Boolean);
+
+const storageAttachmentSchema = Joi.object({
+  incident_id: Joi.string().uuid().required(),
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+  attributePath: Joi.string().default("24.ATTRIBUTES.793"),
+  versionType: Joi.string().valid("DRAFT", "MINOR", "MAJOR").default("DRAFT"),
+  entityID: Joi.string().allow(null, "").optional(),
+  mode: Joi.string().valid("append", "overwrite").default("overwrite"),
+  files: Joi.array()
+    .items(Joi.object({
+      bucket: Joi.string().required(),
+      path: Joi.string().required(),
+      name: Joi.string().optional(),
+    }))
+    .min(1)
+    .max(10)
+    .required(),
+}).unknown(false);
+
+app.post("/api/eccairs/attachments/:e2Id/from-storage", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = storageAttachmentSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { e2Id } = req.params;
+    const { incident_id, environment, attributePath, versionType, files: refs } = value;
+    const entityID = value.entityID || null;
+    const overwrite = value.mode === "overwrite";
+    const admin = req.supabase.admin;
+
+    const access = await assertIncidentAccess({ req, incident_id });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    // e2Id må høre til incidenten - ellers kunne man sende egne filer til andres occurrence
+    const { data: exp, error: expErr } = await admin
+      .from("eccairs_exports")
+      .select("e2_id")
+      .eq("incident_id", incident_id)
+      .eq("environment", environment)
+      .maybeSingle();
+    if (expErr) return res.status(500).json({ ok: false, error: "Feil ved henting av eccairs_exports", details: expErr });
+    if (!exp?.e2_id || exp.e2_id !== e2Id) {
+      return res.status(400).json({ ok: false, error: "e2Id tilhører ikke denne incidenten/miljøet" });
+    }
+
+    const blocked = refs.filter((r) => ATTACHMENT_BUCKETS.length > 0 && !ATTACHMENT_BUCKETS.includes(r.bucket));
+    if (blocked.length > 0) {
+      return res.status(403).json({ ok: false, error: `Bucket ikke tillatt for vedlegg: ${Array.from(new Set(blocked.map((r) => r.bucket))).join(", ")}` });
+    }
+
+    // Tilgang til incidenten gir ikke tilgang til vilkårlige Storage-objekter:
+    // med JWT lastes filene ned som brukeren, så storage-RLS avgjør hva som kan hentes
+    const files = [];
+    for (const ref of refs) {
+      const file = await downloadStorageObject(req, { bucket: ref.bucket, path: ref.path, maxBytes: STORAGE_ATTACHMENT_MAX_BYTES });
+      if (!file.ok) return res.status(file.status).json({ ok: false, error: file.error, details: file.details });
+      files.push({
+        buffer: file.buffer,
+        originalname: ref.name || ref.path.split("/").pop(),
+        mimetype: file.contentType,
+        storage: { bucket: ref.bucket, path: ref.path },
+      });
+    }
+
+    const actor = actorFromRequest(req);
+    const result = await performAttachmentUpload({
+      admin,
+      e2Id,
+      files,
+      attributePath,
+      versionType,
+      entityID,
+      incident_id,
+      environment,
+      overwrite,
+      actor,
+    });
+
+    // Filene ligger allerede i Storage - jobben henter dem derfra ved retry
+    await queueRetryIfTransient(admin, "attachments", result, {
+      incident_id,
+      company_id: access.incident.company_id,
+      environment,
+      e2_id: e2Id,
+      params: {
+        attributePath,
+        versionType,
+        entityID,
+        overwrite,
+        actor,
+        files: files.map((f) => ({ ...f.storage, filename: f.originalname, contentType: f.mimetype, storage: true })),
+      },
+    });
+
+    return res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Feil i /api/eccairs/attachments/:e2Id/from-storage:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Vedleggsoversikt per occurrence (tabell: eccairs_attachments)
+// GET    /api/eccairs/attachments/:e2Id?environment=...&include_removed=true
+// DELETE /api/eccairs/attachments/:e2Id/:attachmentId?versionType=DRAFT
+// -------------------------
+const attachmentListQuerySchema = Joi.object({
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+  include_removed: Joi.boolean().default(false),
+}).unknown(false);
+
+const attachmentDeleteQuerySchema = Joi.object({
+  versionType: Joi.string().valid("DRAFT", "MINOR", "MAJOR").default("DRAFT"),
+}).unknown(false);
+
+// Vedlegg hører til en eksport - tilgang sjekkes mot incidenten bak e2Id
+async function assertAttachmentAccess(req, e2Id, environment) {
+  const { data: exp, error } = await req.supabase.admin
+    .from("eccairs_exports")
+    .select("incident_id")
+    .eq("e2_id", e2Id)
+    .eq("environment", environment)
+    .maybeSingle();
+  if (error) return { ok: false, status: 500, error: "Feil ved henting av eccairs_exports" };
+  if (!exp?.incident_id) return { ok: false, status: 404, error: "Ingen eksport funnet for denne e2_id" };
+  return assertIncidentAccess({ req, incident_id: exp.incident_id });
+}
+
+app.get("/api/eccairs/attachments/:e2Id", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = attachmentListQuerySchema.validate(req.query || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { e2Id } = req.params;
+    const { environment, include_removed } = value;
+
+    const access = await assertAttachmentAccess(req, e2Id, environment);
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    const attachments = await listAttachments(req.supabase.admin, { e2Id, environment, includeRemoved: include_removed });
+    return res.json({ ok: true, e2Id, environment, count: attachments.length, attachments });
+  } catch (err) {
+    console.error("Feil i GET /api/eccairs/attachments/:e2Id:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// E2 har ingen sletting av enkeltfiler. Vi laster derfor opp de gjenværende filene på samme
+// attributePath/entityID på nytt med overwrite=true - det krever at de ligger i Supabase Storage.
+app.delete("/api/eccairs/attachments/:e2Id/:attachmentId", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = attachmentDeleteQuerySchema.validate(req.query || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const { e2Id, attachmentId } = req.params;
+    const admin = req.supabase.admin;
+
+    const { data: row, error: rowErr } = await admin
+      .from("eccairs_attachments")
+      .select("*")
+      .eq("id", attachmentId)
+      .eq("e2_id", e2Id)
+      .maybeSingle();
+    if (rowErr) return res.status(500).json({ ok: false, error: "Feil ved henting av eccairs_attachments", details: rowErr });
+    if (!row) return res.status(404).json({ ok: false, error: "Fant ikke vedlegget" });
+
+    const access = await assertAttachmentAccess(req, e2Id, row.environment);
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+
+    if (row.deleted_at || row.replaced_at) {
+      return res.status(409).json({ ok: false, error: "Vedlegget er allerede fjernet eller erstattet" });
+    }
+
+    const siblings = await listSlotSiblings(admin, row);
+    if (siblings.length === 0) {
+      return res.status(409).json({
+        ok: false,
+        error: "Kan ikke fjerne siste vedlegg på attributtet - E2 støtter ikke tom opplasting. Last opp en erstatning med mode=overwrite.",
+      });
+    }
+
+    const notInStorage = siblings.filter((r) => !r.storage_bucket || !r.storage_path);
+    if (notInStorage.length > 0) {
+      return res.status(409).json({
+        ok: false,
+        error: "Gjenværende vedlegg ble lastet opp direkte og kan ikke sendes på nytt. Last opp alle filene med mode=overwrite.",
+        files: notInStorage.map((r) => r.file_name),
+      });
+    }
+
+    const files = [];
+    for (const r of siblings) {
+      const { data, error: dlErr } = await admin.storage.from(r.storage_bucket).download(r.storage_path);
+      if (dlErr || !data) {
+        return res.status(409).json({ ok: false, error: `Fant ikke ${r.storage_bucket}/${r.storage_path} i Storage`, details: dlErr });
+      }
+      const buffer = Buffer.from(await data.arrayBuffer());
+      // Ikke send en annen fil enn den E2 fikk første gang
+      if (r.checksum && fileChecksum(buffer) !== r.checksum) {
+        return res.status(409).json({ ok: false, error: `${r.file_name} er endret i Storage siden opplasting` });
+      }
+      files.push({
+        buffer,
+        originalname: r.file_name,
+        mimetype: r.mime_type || "application/octet-stream",
+        storage: { bucket: r.storage_bucket, path: r.storage_path },
+      });
+    }
+
+    const actor = actorFromRequest(req);
+    const result = await performAttachmentUpload({
+      admin,
+      e2Id,
+      files,
+      attributePath: row.attribute_path,
+      versionType: value.versionType,
+      entityID: row.entity_id,
+      incident_id: row.incident_id || access.incident.id,
+      environment: row.environment,
+      overwrite: true,
+      actor,
+    });
+    if (!result.ok) return res.status(result.status).json(result.body);
+
+    const deleted = await markAttachmentDeleted(admin, row.id, actor);
+    return res.json({
+      ok: true,
+      e2Id,
+      deleted,
+      attachments: result.body.attachments,
+      raw: result.body.raw,
+    });
+  } catch (err) {
+    console.error("Feil i DELETE /api/eccairs/attachments/:e2Id/:attachmentId:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Taksonomi-katalog (value-lister og attributter) for incident-skjemaet
+// GET /api/eccairs/value-lists/:vlKey?q=...&match=prefix|fulltext&parent=...&limit=...&offset=...
+// GET /api/eccairs/value-lists/:vlKey/:valueId
+// GET /api/eccairs/attributes/:code?company_id=...
+// -------------------------
+const valueListQuerySchema = Joi.object({
+  q: Joi.string().trim().max(200).optional(),
+  match: Joi.string().valid("prefix", "fulltext").default("prefix"),
+  parent: Joi.string().max(50).optional(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+}).unknown(false);
+
+// Godtar både "VL390" og "390"
+function normalizeValueListKey(vlKey) {
+  const code = toAttributeCode(vlKey);
+  return code ? `VL${code}` : null;
+}
+
+app.get("/api/eccairs/value-lists/:vlKey", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = valueListQuerySchema.validate(req.query || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+
+    const vlKey = normalizeValueListKey(req.params.vlKey);
+    if (!vlKey) return res.status(400).json({ ok: false, error: "Ugyldig value-list nøkkel (forventet f.eks. VL390)" });
+
+    const result = await searchValueList(req.supabase.admin, vlKey, value);
+    return res.json({ ok: true, value_list_key: vlKey, q: value.q || null, match: value.match, ...result });
+  } catch (err) {
+    console.error("Feil i /api/eccairs/value-lists/:vlKey:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+app.get("/api/eccairs/value-lists/:vlKey/:valueId", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const vlKey = normalizeValueListKey(req.params.vlKey);
+    if (!vlKey) return res.status(400).json({ ok: false, error: "Ugyldig value-list nøkkel (forventet f.eks. VL390)" });
+
+    const item = await getValueListItem(req.supabase.admin, vlKey, req.params.valueId);
+    if (!item) return res.status(404).json({ ok: false, error: `Verdi ${req.params.valueId} finnes ikke i ${vlKey}` });
+
+    return res.json({ ok: true, value_list_key: vlKey, item });
+  } catch (err) {
+    console.error("Feil i /api/eccairs/value-lists/:vlKey/:valueId:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+app.get("/api/eccairs/attributes/:code", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
+
+    const code = toAttributeCode(req.params.code);
+    if (!code) return res.status(400).json({ ok: false, error: "Ugyldig attributtkode" });
+
+    const info = (await loadAttributeInfo(req.supabase.admin, [code])).get(code) || null;
+    const rule = ATTRIBUTE_RULES[code] || null;
+    // Selskapsspesifikke overstyringer fra eccairs_mapping_config hvis company_id er oppgitt
+    const { error, value } = mappingConfigSchema.validate({ company_id: req.query.company_id });
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+    const { company_id } = value;
+    if (company_id) {
+      const access = await assertCompanyAccess({ req, company_id });
+      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    }
+    const mappingRules = await loadMappingRules(req.supabase.admin, company_id);
 
-    return res.json({ ok: true, incident_id, environment, e2_id: e2Id, e2_version: e2Version, export: updatedExport, meta, raw: createJson });
+    return res.json({
+      ok: true,
+      attribute: {
+        ...getAttributeRules(code, mappingRules),
+        in_catalog: !!info,
+        name: info?.name || null,
+        description: info?.description || null,
+        value_list_key: info?.value_list_key || `VL${code}`,
+        // Lokale pre-flight regler (eccairsRules.js)
+        validation: {
+          max_items: rule?.maxItems ?? null,
+          type: rule?.type || null,
+          pattern: rule?.pattern ? rule.pattern.source : null,
+          hint: rule?.hint || null,
+          required_for: Object.entries(REQUIRED_ATTRIBUTES)
+            .filter(([, reqs]) => reqs.some((r) => r.code === code))
+            .map(([reportType]) => reportType),
+        },
+      },
+    });
   } catch (err) {
-    console.error("Feil i /api/eccairs/drafts:", err);
+    console.error("Feil i /api/eccairs/attributes/:code:", err);
     return res.status(500).json({ ok: false, error: String(err.message || err) });
   }
 });
 
 // -------------------------
-// Update draft (edit)
-// POST /api/eccairs/drafts/update
+// Offline E5X-eksport (fallback når E2 er nede, og for utveksling med andre operatører)
+// GET /api/eccairs/e5x/:incident_id?environment=...&attachment=<bucket>/<path>[&attachment=...]
 // -------------------------
-app.post("/api/eccairs/drafts/update", async (req, res) => {
+const E5X_MAX_ATTACHMENTS = 10;
+// Arkivet bygges i minnet - samlet grense for vedleggene i tillegg til grensen per fil
+const E5X_ATTACHMENTS_MAX_TOTAL_BYTES = 100 * 1024 * 1024;
+
+const e5xQuerySchema = Joi.object({
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+  attachment: Joi.alternatives()
+    .try(Joi.array().items(Joi.string().pattern(/^[^/]+\/.+$/)).max(E5X_MAX_ATTACHMENTS), Joi.string().pattern(/^[^/]+\/.+$/))
+    .optional(),
+}).unknown(false);
+
+app.get("/api/eccairs/e5x/:incident_id", async (req, res) => {
   try {
     if (!requireAdminSupabase(req, res)) return;
 
-    const { error, value } = baseSchema.validate(req.body || {});
+    const { error, value } = e5xQuerySchema.validate(req.query || {});
     if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
 
-    const { incident_id, environment } = value;
+    const { incident_id } = req.params;
+    const { environment } = value;
+    const attachmentRefs = value.attachment == null ? [] : [].concat(value.attachment);
 
-    // 0) RLS access
     const access = await assertIncidentAccess({ req, incident_id });
     if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
 
-    // 1) fetch export row
-    const { data: exportRow, error: expErr } = await req.supabase.admin
-      .from("eccairs_exports")
-      .select("*")
-      .eq("incident_id", incident_id)
-      .eq("environment", environment)
-      .maybeSingle();
-
-    if (expErr) return res.status(500).json({ ok: false, error: "Feil ved henting av eccairs_exports", details: expErr });
-    if (!exportRow?.e2_id) return res.status(400).json({ ok: false, error: "Ingen e2_id funnet. Opprett draft først." });
-    if (!exportRow?.e2_version) return res.status(400).json({ ok: false, error: "Ingen e2_version funnet. Opprett draft på nytt eller hent korrekt versjon." });
-
-    // 2) integration with credentials
-    const integrationRes = await loadIntegration({ admin: req.supabase.admin, company_id: exportRow.company_id, environment });
-    if (!integrationRes.ok) return res.status(integrationRes.status).json({ ok: false, error: integrationRes.error, details: integrationRes.details });
-    const integration = integrationRes.integration;
+    const company_id = access.incident.company_id;
 
-    // 3) mark pending attempt
-    const nextAttempts = (exportRow.attempts || 0) + 1;
-    await req.supabase.admin
-      .from("eccairs_exports")
-      .update({ status: "pending", attempts: nextAttempts, last_attempt_at: new Date().toISOString(), last_error: null })
-      .eq("id", exportRow.id);
+    // Integrasjonen trengs kun for taksonomi-allow-list - eksporten skal fungere uten E2-oppsett
+    const integrationRes = await loadIntegration({ admin: req.supabase.admin, company_id, environment });
+    const integration = integrationRes.ok ? integrationRes.integration : { company_id };
 
-    // 4) build payload (edit mode)
     const { payload, meta } = await buildE2Payload({
       supabase: req.supabase.admin,
       incident: { id: incident_id },
-      exportRow,
+      exportRow: null,
       integration,
       environment,
-      mode: "edit",
-    });
-
-    console.log("E2 update payload meta:", JSON.stringify(meta, null, 2));
-
-    // 5) call E2 edit with per-company credentials
-    const token = await getE2AccessToken(integration);
-    const base = integration.e2_base_url || process.env.E2_BASE_URL;
-    if (!base) return res.status(500).json({ ok: false, error: "E2_BASE_URL mangler" });
-
-    const editResp = await fetch(`${base}/occurrences/edit`, {
-      method: "PUT",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
-        Accept: "application/json",
-      },
-      body: JSON.stringify({
-        e2Id: exportRow.e2_id,
-        version: exportRow.e2_version,
-        ...payload,
-      }),
+      mode: "create",
+      explain: false,
     });
 
-    const { parsed: editJson } = await readE2Response(editResp);
-
-    if (!editResp.ok) {
-      const errMsg = editJson?.errorDetails || editJson?.message || editJson?.error || `E2 edit failed (${editResp.status})`;
-
-      console.error("E2 EDIT FAILED", { status: editResp.status, errMsg, editJson });
-
-      await req.supabase.admin
-        .from("eccairs_exports")
-        .update({
-          status: "failed",
-          last_error: errMsg,
-          response: editJson,
-          payload,
-          last_attempt_at: new Date().toISOString(),
-        })
-        .eq("id", exportRow.id);
-
-      return res.status(editResp.status).json({ ok: false, error: "E2 edit failed", status: editResp.status, message: errMsg, details: editJson, meta });
+    const attachments = [];
+    let attachmentBytes = 0;
+    for (const ref of attachmentRefs) {
+      const [bucket, ...rest] = ref.split("/");
+      const path = rest.join("/");
+      const file = await downloadStorageObject(req, { bucket, path, maxBytes: STORAGE_ATTACHMENT_MAX_BYTES });
+      if (!file.ok) return res.status(file.status).json({ ok: false, error: file.error, details: file.details });
+      attachmentBytes += file.buffer.length;
+      if (attachmentBytes > E5X_ATTACHMENTS_MAX_TOTAL_BYTES) {
+        return res.status(413).json({
+          ok: false,
+          error: `Vedleggene er til sammen større enn ${E5X_ATTACHMENTS_MAX_TOTAL_BYTES / (1024 * 1024)} MB`,
+        });
+      }
+      attachments.push({ name: path.split("/").pop(), data: file.buffer });
     }
 
-    const newVersion = editJson?.data?.version ?? editJson?.version ?? exportRow.e2_version ?? null;
-
-    const { data: updatedExport, error: updErr } = await req.supabase.admin
-      .from("eccairs_exports")
-      .update({
-        status: "draft_updated",
-        e2_version: newVersion,
-        payload,
-        response: editJson,
-        last_error: null,
-        last_attempt_at: new Date().toISOString(),
-      })
-      .eq("id", exportRow.id)
-      .select("*")
-      .single();
+    const taxonomyBlock = payload.taxonomyCodes[E5X_TAXONOMY_CODE];
+    const attributeNames = await loadAttributeInfo(req.supabase.admin, Array.from(collectAttributeCodes(taxonomyBlock)));
 
-    if (updErr) return res.status(500).json({ ok: false, error: "Kunne ikke oppdatere eccairs_exports etter edit", details: updErr });
+    const archive = buildE5XArchive({ taxonomyBlock, attributeNames, attachments });
 
-    return res.json({ ok: true, incident_id, environment, e2_id: exportRow.e2_id, e2_version: updatedExport.e2_version, export: updatedExport, meta, raw: editJson });
+    // E5X er én taksonomi - andre taksonomier og avviste attributter rapporteres i headere
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${incident_id}.e5x"`);
+    res.setHeader("X-ECCAIRS-Validation", meta.validation.ok ? "ok" : "failed");
+    res.setHeader("X-ECCAIRS-Rejected", String(meta.rejected.length));
+    res.setHeader("X-ECCAIRS-Skipped-Taxonomies", Object.keys(payload.taxonomyCodes).filter((t) => t !== E5X_TAXONOMY_CODE).join(",") || "none");
+    return res.send(archive.buffer);
   } catch (err) {
-    console.error("Feil i /api/eccairs/drafts/update:", err);
+    console.error("Feil i /api/eccairs/e5x/:incident_id:", err);
     return res.status(500).json({ ok: false, error: String(err.message || err) });
   }
 });
 
 // -------------------------
-// Delete draft
-// POST /api/eccairs/drafts/delete
+// E5X-import til incident_eccairs_attributes
+// POST /api/eccairs/e5x/:incident_id/import  (multipart: file, dry_run, mode)
+// mode=merge (standard): erstatter kun attributtkodene som finnes i filen
+// mode=replace: sletter alle eksisterende attributter for incidenten først
 // -------------------------
-app.post("/api/eccairs/drafts/delete", async (req, res) => {
-  try {
-    if (!requireAdminSupabase(req, res)) return;
-
-    const { error, value } = deleteSchema.validate(req.body || {});
-    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
-
-    const { e2_id, incident_id, environment } = value;
+const e5xImportSchema = Joi.object({
+  dry_run: Joi.boolean().truthy("1").falsy("0").default(false),
+  mode: Joi.string().valid("merge", "replace").default("merge"),
+}).unknown(false);
 
-    // Hvis incident_id er gitt, sjekk RLS-tilgang og hent company_id
-    let company_id = null;
-    if (incident_id) {
-      const access = await assertIncidentAccess({ req, incident_id });
-      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
-      company_id = access.incident.company_id;
+// Ingen transaksjon via PostgREST: nye rader settes inn før de gamle slettes, så en feilet
+// insert aldri etterlater incidenten uten attributter. De gamle radene slettes på id.
+const IMPORT_DELETE_CHUNK = 200;
+
+async function writeImportedAttributes(admin, incident_id, rows, mode) {
+  let existingQuery = admin.from("incident_eccairs_attributes").select("id").eq("incident_id", incident_id);
+  if (mode === "merge") existingQuery = existingQuery.in("attribute_code", Array.from(new Set(rows.map((r) => r.attribute_code))));
+  const { data: existing, error: selErr } = await existingQuery;
+  if (selErr) return { ok: false, error: selErr };
+  const oldIds = (existing || []).map((r) => r.id);
+
+  if (rows.length > 0) {
+    let { error } = await admin.from("incident_eccairs_attributes").insert(rows);
+    // 42703 = prosjekter uten entity_instance-kolonnen - flere instanser av samme entitet kan da ikke lagres
+    if (error && String(error.code) === "42703") {
+      ({ error } = await admin
+        .from("incident_eccairs_attributes")
+        .insert(rows.map(({ entity_instance, ...rest }) => rest)));
     }
+    if (error) return { ok: false, error };
+  }
 
-    // Load integration for credentials if we have company_id
-    let integration = null;
-    if (company_id) {
-      const integrationRes = await loadIntegration({ admin: req.supabase.admin, company_id, environment });
-      if (integrationRes.ok) {
-        integration = integrationRes.integration;
-      }
+  for (let i = 0; i < oldIds.length; i += IMPORT_DELETE_CHUNK) {
+    const { error: delErr } = await admin
+      .from("incident_eccairs_attributes")
+      .delete()
+      .in("id", oldIds.slice(i, i + IMPORT_DELETE_CHUNK));
+    if (delErr) {
+      // Nye rader er skrevet - gamle rader som ikke ble slettet gir duplikater, ikke datatap
+      console.error(`[e5x-import] Kunne ikke slette gamle attributter for ${incident_id}:`, delErr);
+      return { ok: false, error: delErr, written: rows.length };
     }
+  }
 
-    // Get access token (use integration if available, otherwise global)
-    const token = await getE2AccessToken(integration);
-    const base = integration?.e2_base_url || process.env.E2_BASE_URL;
-    if (!base) return res.status(500).json({ ok: false, error: "E2_BASE_URL mangler" });
+  return { ok: true, written: rows.length };
+}
 
-    // ECCAIRS E2 DELETE (API Guide v4.26)
-    const type = e2_id.startsWith("VR-") ? "VR" : e2_id.startsWith("OC-") ? "OC" : "OR";
-    const encodedE2Id = encodeURIComponent(String(e2_id));
+app.post("/api/eccairs/e5x/:incident_id/import", upload.single("file"), async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
 
-    const deleteUrl = `${base}/occurrences/delete-draft/${type}/${encodedE2Id}`;
+    const { error, value } = e5xImportSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
 
-    console.log("E2 DELETE request:", deleteUrl, { e2_id, type });
+    const { incident_id } = req.params;
+    const { dry_run, mode } = value;
 
-    const deleteResp = await fetch(deleteUrl, {
-      method: "DELETE",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Accept: "application/json",
-      },
-    });
+    if (!req.file) return res.status(400).json({ ok: false, error: "Ingen E5X-fil lastet opp (felt: file)" });
 
-    const { parsed: deleteJson } = await readE2Response(deleteResp);
+    const access = await assertIncidentAccess({ req, incident_id });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
 
-    console.log("E2 DELETE RESPONSE", { 
-      status: deleteResp.status, 
-      ok: deleteResp.ok, 
-      body: deleteJson 
-    });
+    let parsed;
+    try {
+      const { xml, files } = readE5XFile(req.file.buffer);
+      const rules = await loadMappingRules(req.supabase.admin, access.incident.company_id);
+      parsed = { ...e5xToAttributeRows(xml, { formatOverrides: rules.formatOverrides }), files };
+    } catch (parseErr) {
+      return res.status(400).json({ ok: false, error: `Kunne ikke lese E5X-filen: ${parseErr.message}` });
+    }
 
-    if (!deleteResp.ok) {
-      const errMsg = deleteJson?.errorDetails || deleteJson?.message || deleteJson?.error || `E2 delete failed (${deleteResp.status})`;
-      
-      if (incident_id) {
-        await req.supabase.admin
-          .from("eccairs_exports")
-          .update({
-            status: "delete_failed",
-            last_error: errMsg,
-            response: deleteJson,
-            last_attempt_at: new Date().toISOString(),
-          })
-          .eq("incident_id", incident_id)
-          .eq("environment", environment);
-      }
+    const { valid, unknown } = await checkImportedValues(req.supabase.admin, parsed.rows);
+    const rows = valid.map((r) => ({ incident_id, ...r }));
 
-      return res.status(deleteResp.status).json({ 
-        ok: false, 
-        error: "E2 delete failed", 
-        status: deleteResp.status, 
-        message: errMsg, 
-        details: deleteJson 
-      });
-    }
+    const result = {
+      ok: true,
+      incident_id,
+      dry_run,
+      mode,
+      file: { name: req.file.originalname, size: req.file.size, entries: parsed.files },
+      summary: { rows: rows.length, unknown_values: unknown.length, skipped: parsed.skipped.length },
+      rows,
+      unknown_values: unknown,
+      skipped: parsed.skipped,
+      warnings: parsed.warnings,
+    };
 
-    // returnCode 1 = success i ECCAIRS
-    if (deleteJson?.returnCode === 1 || deleteResp.ok) {
-      if (incident_id) {
-        await req.supabase.admin
-          .from("eccairs_exports")
-          .delete()
-          .eq("incident_id", incident_id)
-          .eq("environment", environment);
-      }
+    if (dry_run) return res.json(result);
 
-      return res.json({ 
-        ok: true, 
-        deleted: e2_id,
-        environment,
-        message: "Draft deleted successfully",
-        raw: deleteJson
-      });
+    const write = await writeImportedAttributes(req.supabase.admin, incident_id, rows, mode);
+    if (!write.ok) {
+      return res.status(500).json({ ok: false, error: "Kunne ikke skrive incident_eccairs_attributes", details: write.error });
     }
 
-    return res.status(400).json({ 
-      ok: false, 
-      error: deleteJson?.errorDetails || "Unknown error from E2",
-      details: deleteJson
-    });
-
+    console.log(`[e5x-import] incident=${incident_id} mode=${mode} written=${write.written} unknown=${unknown.length}`);
+    return res.json({ ...result, written: write.written });
   } catch (err) {
-    console.error("Feil i /api/eccairs/drafts/delete:", err);
+    console.error("Feil i /api/eccairs/e5x/:incident_id/import:", err);
     return res.status(500).json({ ok: false, error: String(err.message || err) });
   }
 });
 
 // -------------------------
-// Get URL to open in E2 UI
-// GET /api/eccairs/get-url?e2_id=...&environment=...
+// Versjonshistorikk og statusoverganger for en eksport
+// GET /api/eccairs/exports/:incident_id/history?environment=...&from=<version id>&to=<version id>
 // -------------------------
-app.get("/api/eccairs/get-url", async (req, res) => {
+const historyQuerySchema = Joi.object({
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+  from: Joi.string().optional(),
+  to: Joi.string().optional(),
+  include_payload: Joi.boolean().default(false),
+}).and("from", "to").unknown(false);
+
+app.get("/api/eccairs/exports/:incident_id/history", async (req, res) => {
   try {
-    const { error, value } = getUrlSchema.validate(req.query || {});
+    if (!requireAdminSupabase(req, res)) return;
+
+    const { error, value } = historyQuerySchema.validate(req.query || {});
     if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
 
-    const { e2_id, incident_id, environment } = value;
+    const { incident_id } = req.params;
+    const { environment, from, to, include_payload } = value;
 
-    let integration = null;
-    if (incident_id) {
-      const access = await assertIncidentAccess({ req, incident_id });
-      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    const access = await assertIncidentAccess({ req, incident_id });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
 
-      const integrationRes = await loadIntegration({ admin: req.supabase.admin, company_id: access.incident.company_id, environment });
-      if (!integrationRes.ok) {
-        return res.status(integrationRes.status).json({ ok: false, error: integrationRes.error, details: integrationRes.details });
+    const versions = await listExportVersions(req.supabase.admin, { incident_id, environment });
+    const transitions = await listTransitions(req.supabase.admin, { incident_id, environment });
+
+    let diff = null;
+    if (from && to) {
+      const fromVersion = versions.find((v) => String(v.id) === from);
+      const toVersion = versions.find((v) => String(v.id) === to);
+      if (!fromVersion || !toVersion) {
+        return res.status(404).json({ ok: false, error: "Fant ikke versjonene som skal sammenlignes" });
       }
-      integration = integrationRes.integration;
+      diff = { from, to, changes: diffExportVersions(fromVersion, toVersion) };
     }
 
-    const token = await getE2AccessToken(integration);
-    const base = integration?.e2_base_url || process.env.E2_BASE_URL;
-    if (!base) return res.status(500).json({ ok: false, error: "E2_BASE_URL mangler" });
-
-    const url = `${base}/occurrences/get-URL/${encodeURIComponent(e2_id)}`;
+    return res.json({
+      ok: true,
+      incident_id,
+      environment,
+      count: versions.length,
+      // Payload og respons kan være store - tas kun med på forespørsel
+      versions: include_payload ? versions : versions.map(({ payload, response, ...rest }) => rest),
+      transitions,
+      diff,
+    });
+  } catch (err) {
+    console.error("Feil i /api/eccairs/exports/:incident_id/history:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
 
-    const r = await fetch(url, { headers: { Authorization: `Bearer ${token}`, Accept: "application/json" } });
-    const { parsed: j } = await readE2Response(r);
+// -------------------------
+// Pending-sweeper summary
+// GET /api/eccairs/sweeper/summary?company_id=...
+// -------------------------
+app.get("/api/eccairs/sweeper/summary", async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
 
-    if (!r.ok) {
-      return res.status(404).json({ ok: false, error: "get-URL failed", environment, details: j, used: url, status: r.status });
+    const company_id = req.query.company_id ? String(req.query.company_id) : null;
+    // Kun API-key-kall får se alle selskaper i prosjektet
+    if (!company_id && req.user) {
+      return res.status(400).json({ ok: false, error: "company_id er påkrevd" });
+    }
+    if (company_id) {
+      const access = await assertCompanyAccess({ req, company_id });
+      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
     }
 
-    const openUrl = j?.data?.url || null;
-    return res.json({ ok: true, e2_id, environment, url: openUrl, raw: j, used: url, credentials_source: integration?.credentials_source || 'environment' });
+    const summary = await getSweeperSummary(req.supabase.admin, req.supabase.ref, company_id);
+    return res.json({ ok: true, ...summary });
   } catch (err) {
-    console.error("Feil i /api/eccairs/get-url:", err);
+    console.error("Feil i /api/eccairs/sweeper/summary:", err);
     return res.status(500).json({ ok: false, error: String(err.message || err) });
   }
 });
 
 // -------------------------
-// Submit report
-// POST /api/eccairs/submit
+// Job status (retry-kø)
+// GET /api/eccairs/jobs/:id
 // -------------------------
-app.post("/api/eccairs/submit", async (req, res) => {
+app.get("/api/eccairs/jobs/:id", async (req, res) => {
   try {
     if (!requireAdminSupabase(req, res)) return;
 
-    const { error, value } = baseSchema.validate(req.body || {});
-    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
+    const job = await getJob(req.supabase.admin, req.params.id);
+    if (!job) return res.status(404).json({ ok: false, error: "Jobb ikke funnet" });
 
-    const { incident_id, environment } = value;
+    if (job.incident_id) {
+      const access = await assertIncidentAccess({ req, incident_id: job.incident_id });
+      if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    }
 
-    const access = await assertIncidentAccess({ req, incident_id });
-    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error });
+    // params kan inneholde lagringsstier for vedlegg - returner kun det klienten trenger
+    const { params, ...rest } = job;
+    return res.json({ ok: true, job: rest });
+  } catch (err) {
+    console.error("Feil i /api/eccairs/jobs/:id:", err);
+    return res.status(500).json({ ok: false, error: String(err.message || err) });
+  }
+});
+
+// -------------------------
+// Batch: create-or-update eller submit for mange incidenter
+// POST /api/eccairs/batch { incident_ids, operation, environment, concurrency, wait }
+// GET  /api/eccairs/batch/:id
+// -------------------------
+const BATCH_MAX_INCIDENTS = 200;
 
-    const { data: exp, error: expErr } = await req.supabase.admin
+const batchSchema = Joi.object({
+  incident_ids: Joi.array().items(Joi.string().uuid()).min(1).max(BATCH_MAX_INCIDENTS).unique().required(),
+  operation: Joi.string().valid("create_or_update", "submit").required(),
+  environment: Joi.string().valid("sandbox", "prod").default("sandbox"),
+  concurrency: Joi.number().integer().min(1).max(10).default(3),
+  // wait=true svarer først når alle er ferdige (små batcher/skript), ellers 202 + fremdrift via GET
+  wait: Joi.boolean().default(false),
+}).unknown(false);
+
+// Én incident i batchen går samme vei som enkeltrutene: lås, statusmaskin og retry-kø.
+// RLS-tilgangen er sjekket på forhånd (company_id fra den sjekken) - batchen kan kjøre lenger
+// enn brukerens JWT er gyldig, så her brukes kun service role.
+// Integrasjonen (credentials) lastes per incident fra selskapet den tilhører.
+async function runBatchItem(admin, { incident_id, company_id, operation, environment, actor }) {
+  let action = "submit";
+  if (operation === "create_or_update") {
+    const { data: exp, error } = await admin
       .from("eccairs_exports")
-      .select("*")
+      .select("e2_id")
       .eq("incident_id", incident_id)
       .eq("environment", environment)
       .maybeSingle();
+    if (error) return { ok: false, status: 500, company_id, error: "Feil ved henting av eccairs_exports" };
+    action = exp?.e2_id ? "edit" : "create";
+  }
 
-    if (expErr) return res.status(500).json({ ok: false, error: "Feil ved henting av eccairs_exports", details: expErr });
-    if (!exp?.e2_id) return res.status(400).json({ ok: false, error: "Ingen e2_id funnet. Opprett draft først." });
-
-    // Load integration with credentials
-    const integrationRes = await loadIntegration({ admin: req.supabase.admin, company_id: exp.company_id, environment });
-    if (!integrationRes.ok) return res.status(integrationRes.status).json({ ok: false, error: integrationRes.error });
-    const integration = integrationRes.integration;
-
-    const nextAttempts = (exp.attempts || 0) + 1;
-    await req.supabase.admin
-      .from("eccairs_exports")
-      .update({ status: "pending", attempts: nextAttempts, last_attempt_at: new Date().toISOString(), last_error: null })
-      .eq("id", exp.id);
-
-    const token = await getE2AccessToken(integration);
-    const base = integration.e2_base_url || process.env.E2_BASE_URL;
-    if (!base) return res.status(500).json({ ok: false, error: "E2_BASE_URL mangler" });
+  const perform = {
+    create: () => performCreate({ admin, incident_id, company_id, environment, actor }),
+    edit: () => performUpdate({ admin, incident_id, environment, actor }),
+    submit: () => performSubmit({ admin, incident_id, environment, actor }),
+  }[action];
+
+  const result = await withExportLock(admin, { incident_id, environment, operation: action, actor }, perform);
+  await queueRetryIfTransient(admin, action, result, { incident_id, company_id, environment, params: { actor } });
+
+  // Kun det rapporten trenger - hele export/meta per incident blir for stort
+  const body = result.body || {};
+  return {
+    ok: result.ok,
+    status: result.status,
+    action,
+    company_id,
+    e2_id: body.e2_id ?? null,
+    e2_version: body.e2_version ?? null,
+    error: result.ok ? null : body.error || null,
+    message: result.ok ? null : body.message || null,
+    errors: body.errors || undefined,
+    job: body.job || null,
+  };
+}
 
-    const payload = { e2Id: exp.e2_id, status: "SENT" };
+app.post("/api/eccairs/batch", idempotency, async (req, res) => {
+  try {
+    if (!requireAdminSupabase(req, res)) return;
 
-    const r = await fetch(`${base}/occurrences/change-status`, {
-      method: "POST",
-      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json", Accept: "application/json" },
-      body: JSON.stringify(payload),
-    });
+    const { error, value } = batchSchema.validate(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error: error.details[0].message });
 
-    const { parsed: j } = await readE2Response(r);
+    const { incident_ids, operation, environment, concurrency, wait } = value;
+    const admin = req.supabase.admin;
+    const actor = actorFromRequest(req);
 
-    if (!r.ok) {
-      const errMsg = j?.errorDetails || j?.message || j?.error || `E2 change-status failed (${r.status})`;
+    // Tilgang sjekkes mens JWT-en er gyldig; incidenter uten tilgang feiler i rapporten
+    const access = await assertIncidentsAccess({ req, incident_ids });
+    if (!access.ok) return res.status(access.status).json({ ok: false, error: access.error, details: access.details });
 
-      await req.supabase.admin
-        .from("eccairs_exports")
-        .update({ status: "failed", last_error: errMsg, response: j, payload, last_attempt_at: new Date().toISOString() })
-        .eq("id", exp.id);
+    const batch = await createBatch(admin, { operation, environment, incident_ids, concurrency, actor });
+    const task = async (incident_id) => {
+      const company_id = access.companies.get(incident_id.toLowerCase());
+      if (!company_id) return { ok: false, status: 403, error: "Ingen tilgang til incident (RLS)" };
+      return runBatchItem(admin, { incident_id, company_id, operation, environment, actor });
+    };
 
-      return res.status(r.status).json({ ok: false, error: "E2 change-status failed", status: r.status, message: errMsg, details: j });
+    if (wait) {
+      const finished = await runBatch(admin, batch, task);
+      return res.json({ ok: true, batch: publicBatch(finished) });
     }
 
-    const { data: updated, error: updErr } = await req.supabase.admin
-      .from("eccairs_exports")
-      .update({ status: "submitted", last_error: null, response: j, payload, last_attempt_at: new Date().toISOString() })
-      .eq("id", exp.id)
-      .select("*")
-      .single();
-
-    if (updErr) return res.status(500).json({ ok: false, error: "Kunne ikke oppdatere eccairs_exports etter submit", details: updErr });
-
-    return res.json({ ok: true, incident_id, environment, e2_id: exp.e2_id, export: updated, raw: j });
+    runBatch(admin, batch, task).catch((err) => console.error(`[batch] Batch ${batch.id} stoppet:`, err));
+    return res.status(202).json({
+      ok: true,
+      batch_id: batch.id,
+      status_url: `/api/eccairs/batch/${batch.id}`,
+      batch: publicBatch(batch),
+    });
   } catch (err) {
-    console.error("Feil i /api/eccairs/submit:", err);
+    console.error("Feil i /api/eccairs/batch:", err);
     return res.status(500).json({ ok: false, error: String(err.message || err) });
   }
 });
 
-// -------------------------
-// Upload Attachments
-// POST /api/eccairs/attachments/:e2Id
-// Multipart form-data with files
-// -------------------------
-app.post("/api/eccairs/attachments/:e2Id", upload.array("files", 10), async (req, res) => {
+app.get("/api/eccairs/batch/:id", async (req, res) => {
   try {
     if (!requireAdminSupabase(req, res)) return;
 
-    const { e2Id } = req.params;
-    if (!e2Id) {
-      return res.status(400).json({ ok: false, error: "e2Id er påkrevd" });
-    }
-
-    const files = req.files;
-    if (!files || files.length === 0) {
-      return res.status(400).json({ ok: false, error: "Ingen filer lastet opp" });
-    }
-
-    // Get optional parameters from body
-    const attributePath = req.body.attributePath || "24.ATTRIBUTES.793"; // Default: occurrence level
-    const versionType = req.body.versionType || "DRAFT";
-    const entityID = req.body.entityID || null;
-    const incident_id = req.body.incident_id || null;
-
-    // Validate versionType
-    if (!["DRAFT", "MINOR", "MAJOR"].includes(versionType)) {
-      return res.status(400).json({ ok: false, error: "versionType må være DRAFT, MINOR eller MAJOR" });
-    }
-
-    // Try to get integration credentials if incident_id is provided
-    let integration = null;
-    if (incident_id) {
-      const { data: exp } = await req.supabase.admin
-        .from("eccairs_exports")
-        .select("company_id")
-        .eq("incident_id", incident_id)
-        .maybeSingle();
-      
-      if (exp?.company_id) {
-        const environment = req.body.environment || "sandbox";
-        const integrationRes = await loadIntegration({ admin: req.supabase.admin, company_id: exp.company_id, environment });
-        if (integrationRes.ok) {
-          integration = integrationRes.integration;
-        }
-      }
-    }
-
-    // Get E2 access token
-    const token = await getE2AccessToken(integration);
-    const base = integration?.e2_base_url || process.env.E2_BASE_URL;
-    if (!base) {
-      return res.status(500).json({ ok: false, error: "E2_BASE_URL mangler" });
-    }
-
-    // Build multipart form data for E2 API - ONLY files in body (per Swagger docs)
-    const formData = new FormData();
-    
-    // Add files ONLY - parameters go as query params per API spec
-    for (const file of files) {
-      formData.append("files", file.buffer, {
-        filename: file.originalname,
-        contentType: file.mimetype,
-      });
-    }
-
-    // Build URL with query parameters (as per Swagger docs - NOT in FormData body)
-    const queryParams = new URLSearchParams();
-    queryParams.append("attributePath", attributePath);
-    queryParams.append("versionType", versionType);
-    queryParams.append("overwrite", "true");
-    if (entityID) {
-      queryParams.append("entityID", entityID);
-    }
-
-    const uploadUrl = `${base}/occurrences/attachments/${encodeURIComponent(e2Id)}?${queryParams.toString()}`;
-
-    // Convert FormData to Buffer for native fetch compatibility
-    const formBuffer = formData.getBuffer();
-    const formHeaders = formData.getHeaders();
-
-    console.log("E2 ATTACHMENT UPLOAD:", {
-      url: uploadUrl,
-      fileCount: files.length,
-      fileNames: files.map(f => f.originalname),
-      attributePath,
-      versionType,
-      entityID,
-      contentType: formHeaders['content-type'],
-    });
-
-    const uploadResp = await fetch(uploadUrl, {
-      method: "PUT",
-      headers: {
-        Authorization: `Bearer ${token}`,
-        Accept: "application/json",
-        "User-Agent": "Avisafe-ECCAIRS-Gateway/1.0",
-        ...formHeaders,
-      },
-      body: formBuffer,
-    });
-
-    const { parsed: uploadJson } = await readE2Response(uploadResp);
-
-    console.log("E2 ATTACHMENT RESPONSE:", {
-      status: uploadResp.status,
-      ok: uploadResp.ok,
-      body: uploadJson,
-    });
+    const { error } = Joi.string().uuid().validate(req.params.id);
+    if (error) return res.status(400).json({ ok: false, error: "Ugyldig batch-id" });
 
-    if (!uploadResp.ok) {
-      const errMsg = uploadJson?.errorDetails || uploadJson?.message || uploadJson?.error || `E2 attachment upload failed (${uploadResp.status})`;
-      return res.status(uploadResp.status).json({
-        ok: false,
-        error: "E2 attachment upload failed",
-        status: uploadResp.status,
-        message: errMsg,
-        details: uploadJson,
-      });
+    // Kun den som startet batchen ser den (resultatene kan gjelde flere selskaper)
+    const batch = await getBatch(req.supabase.admin, req.params.id);
+    if (!batch || batch.actor !== actorFromRequest(req)) {
+      return res.status(404).json({ ok: false, error: "Batch ikke funnet" });
     }
 
-    return res.json({
-      ok: true,
-      e2Id,
-      fileCount: files.length,
-      fileNames: files.map(f => f.originalname),
-      attributePath,
-      versionType,
-      raw: uploadJson,
-    });
+    return res.json({ ok: true, batch });
   } catch (err) {
-    console.error("Feil i /api/eccairs/attachments:", err);
+    console.error("Feil i /api/eccairs/batch/:id:", err);
     return res.status(500).json({ ok: false, error: String(err.message || err) });
   }
 });
@@ -1016,3 +2846,13 @@ app.post("/api/eccairs/attachments/:e2Id", upload.array("files", 10), async (req
 // -------------------------
 const port = process.env.PORT || 8080;
 app.listen(port, "0.0.0.0", () => console.log(`Server kjører på port ${port}`));
+
+// Retry-worker for eccairs_jobs (kan slås av med ECCAIRS_JOB_WORKER=false)
+if (process.env.ECCAIRS_JOB_WORKER !== "false") {
+  startJobWorker({ getProjects: () => Array.from(adminByRef.values()), handlers: jobHandlers });
+}
+
+// Sweeper for eksporter som henger i "pending" (kan slås av med ECCAIRS_SWEEPER=false)
+if (process.env.ECCAIRS_SWEEPER !== "false") {
+  startPendingSweeper({ getProjects: () => Array.from(adminByRef.entries()), reconcile: reconcilePendingExport });
+}
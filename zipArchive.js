@@ -0,0 +1,226 @@
+// zipArchive.js
+// Minimal ZIP-skriver/-leser (E5X-filer er zippet XML) - ingen ekstra avhengigheter
+// Støtter deflate og "stored"; ingen ZIP64, så maks 4 GB / 65535 filer per arkiv
+
+const zlib = require("zlib");
+
+// Vern mot zip-bomber ved lesing (totalt for readZip, per fil for readZipEntry)
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS dato/tid som ZIP-headerne bruker
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+/**
+ * Build a ZIP archive in memory
+ * @param {Array<{ name: string, data: Buffer|string }>} entries
+ * @param {Object} [opts] - { date }
+ * @returns {Buffer}
+ */
+function createZip(entries, { date = new Date() } = {}) {
+  const { time, day } = dosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), "utf8");
+    const deflated = zlib.deflateRawSync(data);
+    // Lagre ukomprimert hvis deflate ikke sparer noe (bilder, pdf)
+    const useDeflate = deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);           // version needed
+    local.writeUInt16LE(0x0800, 6);       // flags: UTF-8 filnavn
+    local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);         // version made by
+    central.writeUInt16LE(20, 6);         // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(useDeflate ? 8 : 0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt16LE(0, 30);         // extra
+    central.writeUInt16LE(0, 32);         // comment
+    central.writeUInt16LE(0, 34);         // disk
+    central.writeUInt16LE(0, 36);         // internal attrs
+    central.writeUInt32LE(0, 38);         // external attrs
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDir = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(0, 4);
+  end.writeUInt16LE(0, 6);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  end.writeUInt16LE(0, 20);
+
+  return Buffer.concat([...localParts, centralDir, end]);
+}
+
+// Les en uint fra bufferen, men feil med en lesbar melding i stedet for RangeError
+function readUInt(buffer, offset, bytes) {
+  if (offset < 0 || offset + bytes > buffer.length) throw new Error("Ugyldig ZIP-fil (peker utenfor filen)");
+  return bytes === 2 ? buffer.readUInt16LE(offset) : buffer.readUInt32LE(offset);
+}
+
+/**
+ * List the entries of a ZIP archive from its central directory without inflating anything.
+ * All offsets and lengths are checked against the buffer.
+ * @param {Buffer} buffer
+ * @returns {Array<{ name: string, method: number, compressedSize: number, size: number, dataStart: number }>}
+ */
+function listZipEntries(buffer) {
+  // End of central directory ligger sist, eventuelt etterfulgt av en kommentar (maks 64 KB)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Ugyldig ZIP-fil (fant ikke central directory)");
+
+  const count = readUInt(buffer, eocd + 10, 2);
+  const dirSize = readUInt(buffer, eocd + 12, 4);
+  const dirStart = readUInt(buffer, eocd + 16, 4);
+  if (dirStart + dirSize > eocd) throw new Error("Ugyldig ZIP-fil (central directory utenfor filen)");
+
+  let ptr = dirStart;
+  const entries = [];
+
+  for (let n = 0; n < count; n++) {
+    if (ptr + 46 > dirStart + dirSize || readUInt(buffer, ptr, 4) !== 0x02014b50) {
+      throw new Error("Ugyldig ZIP-fil (ødelagt central directory)");
+    }
+    const method = readUInt(buffer, ptr + 10, 2);
+    const compressedSize = readUInt(buffer, ptr + 20, 4);
+    const size = readUInt(buffer, ptr + 24, 4);
+    const nameLength = readUInt(buffer, ptr + 28, 2);
+    const extraLength = readUInt(buffer, ptr + 30, 2);
+    const commentLength = readUInt(buffer, ptr + 32, 2);
+    const localOffset = readUInt(buffer, ptr + 42, 4);
+    if (ptr + 46 + nameLength > dirStart + dirSize) throw new Error("Ugyldig ZIP-fil (ødelagt central directory)");
+    const name = buffer.toString("utf8", ptr + 46, ptr + 46 + nameLength);
+    ptr += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue; // mappe
+
+    // Lokal header kan ha annen extra-lengde enn central directory
+    if (readUInt(buffer, localOffset, 4) !== 0x04034b50) throw new Error(`Ugyldig ZIP-fil (ødelagt lokal header for ${name})`);
+    const localNameLength = readUInt(buffer, localOffset + 26, 2);
+    const localExtraLength = readUInt(buffer, localOffset + 28, 2);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    if (dataStart + compressedSize > dirStart) throw new Error(`Ugyldig ZIP-fil (data for ${name} utenfor filen)`);
+
+    entries.push({ name, method, compressedSize, size, dataStart });
+  }
+  return entries;
+}
+
+/**
+ * Inflate one entry from listZipEntries
+ * @param {Buffer} buffer
+ * @param {Object} entry
+ * @param {Object} [opts] - { maxBytes } - uncompressed limit for this entry
+ * @returns {Buffer}
+ */
+function readZipEntry(buffer, entry, { maxBytes = MAX_UNCOMPRESSED_BYTES } = {}) {
+  const tooLarge = () => Object.assign(
+    new Error(`${entry.name} er større enn ${Math.floor(maxBytes / (1024 * 1024))} MB ukomprimert`),
+    { code: "ZIP_TOO_LARGE" }
+  );
+  // Oppgitt størrelse kan være løgn - den stopper bare de åpenbare tilfellene før inflate
+  if (entry.size > maxBytes) throw tooLarge();
+
+  const body = buffer.subarray(entry.dataStart, entry.dataStart + entry.compressedSize);
+  if (entry.method === 0) {
+    if (body.length > maxBytes) throw tooLarge();
+    return Buffer.from(body);
+  }
+  if (entry.method !== 8) throw new Error(`Ukjent komprimering (${entry.method}) for ${entry.name}`);
+
+  try {
+    return zlib.inflateRawSync(body, { maxOutputLength: Math.max(1, maxBytes) });
+  } catch (err) {
+    if (err.code === "ERR_BUFFER_TOO_LARGE") throw tooLarge();
+    throw err;
+  }
+}
+
+/**
+ * Read all files from a ZIP archive in memory (stored and deflate entries).
+ * maxTotalBytes caps the sum of all inflated entries (zip bomb guard).
+ * @param {Buffer} buffer
+ * @param {Object} [opts] - { maxTotalBytes }
+ * @returns {Array<{ name: string, data: Buffer }>}
+ */
+function readZip(buffer, { maxTotalBytes = MAX_UNCOMPRESSED_BYTES } = {}) {
+  let remaining = maxTotalBytes;
+  const files = [];
+  for (const entry of listZipEntries(buffer)) {
+    let data;
+    try {
+      data = readZipEntry(buffer, entry, { maxBytes: remaining });
+    } catch (err) {
+      if (err.code === "ZIP_TOO_LARGE") {
+        throw Object.assign(new Error(`ZIP-arkivet er større enn ${Math.floor(maxTotalBytes / (1024 * 1024))} MB ukomprimert`), { code: err.code });
+      }
+      throw err;
+    }
+    remaining -= data.length;
+    files.push({ name: entry.name, data });
+  }
+  return files;
+}
+
+// ZIP-filer starter med "PK\x03\x04"
+function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+module.exports = { createZip, readZip, listZipEntries, readZipEntry, isZip, crc32 };